@@ -0,0 +1,107 @@
+// ── Clear-sky alerts ─────────────────────────────────────────────────────────
+// The scheduled check behind alert subscriptions (see subscriptions.js): for
+// each one, score tonight at its site the way the app does and, when the best
+// window reaches `minScore` with at least `minHours` of moonless darkness in
+// it, push a notification.
+// Each night is announced once, and not until its window is within
+// NOTIFY_AHEAD_HOURS so the afternoon forecast gets the final say. Run it from
+// the /api/alerts-run cron or the local scheduler (scripts/alerts.js).
+import { getForecast } from "../forecast.js";
+import { forecastBlocks } from "../../src/lib/blocks.js";
+import { getNights, overlapHours } from "../../src/lib/dark-window.js";
+import { scoreBlocks, bestWindow, IMAGING_STYLES } from "../../src/lib/scoring.js";
+import { siteSky } from "../../src/lib/light-pollution.js";
+import { buildSearch } from "../../src/lib/url-state.js";
+import { badRequest } from "./errors.js";
+import { sendNotification, vapidFromEnv, notConfigured } from "./webpush.js";
+
+const HOUR_MS = 3600000;
+const NOTIFY_AHEAD_HOURS = 12;
+
+/**
+ * Check and normalise a subscription request body:
+ * `{ subscription: { endpoint, keys }, site, style, minScore, minHours, timeZone }`.
+ * Throws a bad_request ApiError naming the first problem.
+ */
+export function parseAlertRequest(body) {
+  const { subscription, site, style = "deepSky", minScore = 60, minHours = 2, timeZone = "UTC" } = body ?? {};
+  if (!subscription?.endpoint?.startsWith("https://") || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+    throw badRequest("subscription must be a push subscription with an https endpoint and keys");
+  }
+  const lat = Number(site?.lat), lon = Number(site?.lon);
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lon) || Math.abs(lon) > 180) {
+    throw badRequest("site needs lat within ±90 and lon within ±180");
+  }
+  if (!IMAGING_STYLES[style]) throw badRequest(`Unknown style; expected one of ${Object.keys(IMAGING_STYLES).join(", ")}`);
+  if (!(minScore >= 0 && minScore <= 100)) throw badRequest("minScore must be within 0–100");
+  if (!(minHours > 0 && minHours <= 12)) throw badRequest("minHours must be greater than 0 and at most 12");
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw badRequest("Unknown timeZone");
+  }
+  return {
+    endpoint: subscription.endpoint,
+    keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth },
+    site: { name: String(site.name ?? "").slice(0, 80), lat, lon, bortle: site.bortle ? Number(site.bortle) : null },
+    style, minScore: Number(minScore), minHours: Number(minHours), timeZone,
+  };
+}
+
+/**
+ * Tonight at the subscription's site: `{ night, best, hours, due }`, where
+ * `best` is the best window at or above `minScore`, `hours` how much of it is
+ * moonless dark time, and `due` says an alert should go out now.
+ */
+export async function evaluateAlert(sub, now = new Date()) {
+  const { lat, lon } = sub.site;
+  const { body } = await getForecast("astro", lat, lon);
+  const [night] = getNights(now, lat, lon, 1);
+  const scored = scoreBlocks(forecastBlocks(body, "astro"), lat, lon, sub.style, { bortle: siteSky(sub.site).bortle });
+  const best  = bestWindow(scored, night, { minScore: sub.minScore });
+  const hours = best ? overlapHours(night.dark, best.start, best.end) : 0;
+  const due = !!best && hours >= sub.minHours && best.end > now
+    && best.start - now <= NOTIFY_AHEAD_HOURS * HOUR_MS
+    && sub.lastNotified !== night.date.toISOString();
+  return { night, best, hours, due };
+}
+
+function alertMessage(sub, best, hours) {
+  const time = (d) => d.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit", timeZone: sub.timeZone });
+  const name = sub.site.name || `${sub.site.lat.toFixed(2)}, ${sub.site.lon.toFixed(2)}`;
+  return {
+    title: `Clear skies tonight at ${name}`,
+    body: `Score ${best.score} from ${time(best.start)} to ${time(best.end)} (${hours.toFixed(1)} h moonless)`,
+    tag: `astroskies-${sub.id}`,
+    url: `/night${buildSearch({ city: { ...sub.site, name } })}`,
+  };
+}
+
+/**
+ * One pass over every subscription in `store`. Subscriptions the push service
+ * reports gone are deleted; a failing site or push is counted and skipped.
+ * Resolves to `{ checked, notified, removed, failed }`.
+ */
+export async function checkAlerts(store, { vapid = vapidFromEnv(), now = new Date(), send = sendNotification } = {}) {
+  if (!vapid || !store) throw notConfigured();
+  const summary = { checked: 0, notified: 0, removed: 0, failed: 0 };
+  for (const sub of await store.all()) {
+    summary.checked++;
+    try {
+      const { night, best, hours, due } = await evaluateAlert(sub, now);
+      if (!due) continue;
+      const { gone } = await send(sub, alertMessage(sub, best, hours), { vapid, urgency: "high" });
+      if (gone) {
+        await store.remove(sub.id);
+        summary.removed++;
+      } else {
+        await store.put({ ...sub, lastNotified: night.date.toISOString() });
+        summary.notified++;
+      }
+    } catch (err) {
+      summary.failed++;
+      console.error(`alert ${sub.id}: ${err.message}`);
+    }
+  }
+  return summary;
+}
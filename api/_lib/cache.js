@@ -0,0 +1,52 @@
+// ── Response cache ───────────────────────────────────────────────────────────
+// Stores share one async interface, `get(key)` / `set(key, value, ttlSeconds)`,
+// so the API can swap the in-memory default for a file-backed store without
+// touching route code. Pick one with FORECAST_CACHE=memory|file.
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+/** Per-instance LRU-ish map. Survives between requests on a warm function. */
+export function memoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expires < Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlSeconds * 1000 });
+      if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+/** One JSON file per key; useful locally or on hosts with a writable disk. */
+export function fileStore({ dir = join(tmpdir(), "astroskies-cache") } = {}) {
+  const path = (key) => join(dir, `${encodeURIComponent(key)}.json`);
+  return {
+    async get(key) {
+      try {
+        const { value, expires } = JSON.parse(await readFile(path(key), "utf8"));
+        return expires > Date.now() ? value : undefined;
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, value, ttlSeconds) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(path(key), JSON.stringify({ value, expires: Date.now() + ttlSeconds * 1000 }));
+    },
+  };
+}
+
+export function createStore(kind = process.env.FORECAST_CACHE) {
+  if (kind === "file") return fileStore({ dir: process.env.FORECAST_CACHE_DIR || undefined });
+  return memoryStore();
+}
@@ -0,0 +1,53 @@
+// ── Typed API errors ─────────────────────────────────────────────────────────
+// Every error response has the same body:
+//   { error: "human readable message", code: "snake_case_code", retryable: bool }
+// so clients can decide whether to retry without parsing messages.
+
+export class ApiError extends Error {
+  constructor(status, code, message, { retryable = status >= 500 || status === 429, provider } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.provider = provider;
+  }
+}
+
+export const badRequest = (message) => new ApiError(400, "bad_request", message);
+
+/** Non-OK upstream response. 5xx/429 pass through as retryable; other codes become 502. */
+export function upstreamError(provider, status) {
+  const transient = status >= 500 || status === 429;
+  return new ApiError(
+    transient ? status : 502,
+    transient ? "upstream_unavailable" : "upstream_error",
+    `Upstream ${provider} request failed`,
+    { retryable: transient, provider },
+  );
+}
+
+/** fetch() to an upstream that failed before any response (DNS, reset, timeout). */
+export const upstreamUnreachable = (provider) =>
+  new ApiError(502, "upstream_unreachable", `Could not reach ${provider}`, { retryable: true, provider });
+
+/** fetch() wrapper that turns network failures and non-OK responses into ApiErrors. */
+export async function fetchUpstream(provider, url, options) {
+  let upstream;
+  try {
+    upstream = await fetch(url, options);
+  } catch {
+    throw upstreamUnreachable(provider);
+  }
+  if (!upstream.ok) throw upstreamError(provider, upstream.status);
+  return upstream.json();
+}
+
+export function sendError(res, err, fallbackMessage = "Internal error") {
+  const e = err instanceof ApiError ? err : new ApiError(500, "internal_error", fallbackMessage, { retryable: false });
+  return res.status(e.status).json({
+    error: e.message,
+    code: e.code,
+    retryable: e.retryable,
+    ...(e.provider && { provider: e.provider }),
+  });
+}
@@ -0,0 +1,66 @@
+// ── iCalendar ────────────────────────────────────────────────────────────────
+// Just enough RFC 5545 to publish a feed of timed events: UTC date-times, text
+// escaping and 75-octet line folding. Lines end in CRLF as the spec requires.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/** 2026-10-19T21:30:00Z → 20261019T213000Z */
+export const icsDate = (d) =>
+  `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+
+export const escapeText = (s) => String(s).replace(/[\\;,]/g, (c) => `\\${c}`).replace(/\r?\n/g, "\\n");
+
+/** Split a content line into ≤ 75-octet pieces without cutting a UTF-8 sequence. */
+function fold(line) {
+  const out = [];
+  let current = "", size = 0;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > (out.length ? 74 : 75)) {
+      out.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += bytes;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+/**
+ * A VCALENDAR with one VEVENT per entry of `events`:
+ * `{ uid, start, end, summary, description, location, geo: { lat, lon }, url }`.
+ * `refreshHours` hints how often subscribers should re-fetch.
+ */
+export function buildCalendar({ name, description, refreshHours = 6, events, now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//AstroSkies//Imaging windows//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`X-WR-CALDESC:${escapeText(description)}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+    `X-PUBLISHED-TTL:PT${refreshHours}H`,
+  ];
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${e.uid}`,
+      `DTSTAMP:${icsDate(now)}`,
+      `DTSTART:${icsDate(e.start)}`,
+      `DTEND:${icsDate(e.end)}`,
+      `SUMMARY:${escapeText(e.summary)}`,
+      ...(e.description ? [`DESCRIPTION:${escapeText(e.description)}`] : []),
+      ...(e.location ? [`LOCATION:${escapeText(e.location)}`] : []),
+      ...(e.geo ? [`GEO:${e.geo.lat.toFixed(4)};${e.geo.lon.toFixed(4)}`] : []),
+      ...(e.url ? [`URL:${e.url}`] : []),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,35 @@
+// ── Provider registry ────────────────────────────────────────────────────────
+// Adapters expose `{ id, label, products, forecast(product, lat, lon) }` and
+// resolve to the shared schema (see ../schema.js). Order here is the fallback
+// order when the requested provider fails.
+import sevenTimer from "./seventimer.js";
+import openMeteo from "./openmeteo.js";
+import { badRequest } from "../errors.js";
+
+export const PROVIDERS = { [sevenTimer.id]: sevenTimer, [openMeteo.id]: openMeteo };
+export const DEFAULT_PROVIDER = sevenTimer.id;
+export const PRODUCTS = [...new Set(Object.values(PROVIDERS).flatMap((p) => p.products))];
+
+/**
+ * Forecast from `preferred`, falling back through the other providers that
+ * offer `product`. A fallback result carries `fallbackFrom`; if every
+ * provider fails, the preferred provider's error is rethrown.
+ */
+export async function forecastWithFallback(product, lat, lon, preferred = DEFAULT_PROVIDER, { fallback = true } = {}) {
+  if (!PROVIDERS[preferred].products.includes(product)) {
+    throw badRequest(`Provider ${preferred} does not offer ${product}`);
+  }
+  const others = Object.values(PROVIDERS).filter((p) => p.id !== preferred && p.products.includes(product));
+  const order  = [PROVIDERS[preferred], ...(fallback ? others : [])];
+
+  let firstError;
+  for (const provider of order) {
+    try {
+      const body = await provider.forecast(product, lat, lon);
+      return provider.id === preferred ? body : { ...body, fallbackFrom: preferred };
+    } catch (err) {
+      firstError ??= err;
+    }
+  }
+  throw firstError;
+}
@@ -0,0 +1,54 @@
+// ── Open-Meteo adapter ───────────────────────────────────────────────────────
+// Hourly model output resampled to 7Timer's 3-hour blocks. Open-Meteo has no
+// seeing or transparency, so those fields are null; everything else maps onto
+// the shared schema directly.
+import { UNITS, compass } from "../schema.js";
+import { fetchUpstream } from "../errors.js";
+
+const HOURLY = [
+  "cloud_cover", "relative_humidity_2m", "temperature_2m", "wind_speed_10m",
+  "wind_direction_10m", "precipitation", "snowfall", "lifted_index",
+];
+const HORIZON_HOURS = { astro: 72, civil: 192 };
+const BLOCK_HOURS = 3;
+
+function precType(h) {
+  if (h.snowfall > 0) return "snow";
+  if (h.precipitation > 0) return "rain";
+  return "none";
+}
+
+function normalize(product, data, location) {
+  const { time, ...series } = data.hourly;
+  const init = new Date(`${time[0]}:00Z`);
+  const blocks = [];
+  for (let i = BLOCK_HOURS; i < time.length && i <= HORIZON_HOURS[product]; i += BLOCK_HOURS) {
+    const h = Object.fromEntries(Object.keys(series).map((k) => [k, series[k][i]]));
+    blocks.push({
+      time: new Date(`${time[i]}:00Z`).toISOString(),
+      timepoint: i,
+      cloudcover: h.cloud_cover ?? null,
+      seeing: null,
+      transparency: null,
+      liftedIndex: h.lifted_index ?? null,
+      rh: h.relative_humidity_2m ?? null,
+      wind: h.wind_speed_10m == null ? null : { direction: compass(h.wind_direction_10m), speed: h.wind_speed_10m },
+      temp: h.temperature_2m ?? null,
+      precType: precType(h),
+      weather: null,
+      raw: { time: time[i], ...h },
+    });
+  }
+  return { provider: "openmeteo", product, location, init: init.toISOString(), units: UNITS, blocks };
+}
+
+export default {
+  id: "openmeteo",
+  label: "Open-Meteo",
+  products: Object.keys(HORIZON_HOURS),
+  async forecast(product, lat, lon) {
+    const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}`
+      + `&hourly=${HOURLY.join(",")}&wind_speed_unit=ms&timezone=GMT&forecast_days=9`;
+    return normalize(product, await fetchUpstream(this.id, url), { lat, lon });
+  },
+};
@@ -0,0 +1,79 @@
+// ── 7Timer! adapter ──────────────────────────────────────────────────────────
+// 7Timer reports most fields as coded classes. These tables decode each class
+// to the midpoint of its documented range so consumers get physical units.
+// Source: https://github.com/Yeqzids/7timer-issues/wiki/Wiki
+import { UNITS } from "../schema.js";
+import { fetchUpstream } from "../errors.js";
+
+const CLOUD_PCT      = { 1: 3, 2: 12.5, 3: 25, 4: 37.5, 5: 50, 6: 62.5, 7: 75, 8: 87.5, 9: 97 };
+const SEEING_ARCSEC  = { 1: 0.4, 2: 0.625, 3: 0.875, 4: 1.125, 5: 1.375, 6: 1.75, 7: 2.25, 8: 2.75 };
+const TRANSP_MAG     = { 1: 0.25, 2: 0.35, 3: 0.45, 4: 0.55, 5: 0.65, 6: 0.775, 7: 0.925, 8: 1.1 };
+const WIND_MS        = { 1: 0.15, 2: 1.85, 3: 5.7, 4: 9.4, 5: 14, 6: 20.85, 7: 28.55, 8: 35 };
+
+const MISSING = -9999;
+const decode = (table, v) => (v == null || v === MISSING ? null : table[v] ?? null);
+const value  = (v) => (v == null || v === MISSING ? null : v);
+
+/** rh2m is an index (−4 → 0–5 %, 15 → 95–99 %, 16 → 100 %) on astro, "NN%" on civil. */
+function decodeRh(v) {
+  if (v == null || v === MISSING) return null;
+  if (typeof v === "string") return parseInt(v, 10);
+  return v >= 16 ? 100 : v === 15 ? 97 : (v + 4) * 5 + 2.5;
+}
+
+const parseInit = (init) =>
+  new Date(String(init).replace(/(\d{4})(\d{2})(\d{2})(\d{2})/, "$1-$2-$3T$4:00:00Z"));
+
+function normalizeBlock(d, base) {
+  return {
+    time: new Date(base.valueOf() + d.timepoint * 3600000).toISOString(),
+    timepoint: d.timepoint,
+    cloudcover: decode(CLOUD_PCT, d.cloudcover),
+    seeing: decode(SEEING_ARCSEC, d.seeing),
+    transparency: decode(TRANSP_MAG, d.transparency),
+    liftedIndex: value(d.lifted_index),
+    rh: decodeRh(d.rh2m),
+    wind: d.wind10m ? { direction: d.wind10m.direction, speed: decode(WIND_MS, d.wind10m.speed) } : null,
+    temp: value(d.temp2m),
+    precType: d.prec_type ?? null,
+    weather: d.weather ?? null,
+    raw: d,
+  };
+}
+
+function normalizeDay(d) {
+  const date = String(d.date).replace(/(\d{4})(\d{2})(\d{2})/, "$1-$2-$3");
+  return {
+    date,
+    weather: d.weather ?? null,
+    tempMax: value(d.temp2m?.max),
+    tempMin: value(d.temp2m?.min),
+    windMax: decode(WIND_MS, d.wind10m_max),
+    raw: d,
+  };
+}
+
+/** 7Timer JSON → the API's stable forecast schema. */
+function normalize(product, data, location) {
+  const base = parseInit(data.init);
+  return {
+    provider: "7timer",
+    product,
+    location,
+    init: base.toISOString(),
+    units: UNITS,
+    blocks: product === "civillight"
+      ? data.dataseries.map(normalizeDay)
+      : data.dataseries.map((d) => normalizeBlock(d, base)),
+  };
+}
+
+export default {
+  id: "7timer",
+  label: "7Timer!",
+  products: ["astro", "civil", "civillight", "meteo"],
+  async forecast(product, lat, lon) {
+    const url = `https://www.7timer.info/bin/api.pl?lat=${lat}&lon=${lon}&product=${product}&output=json`;
+    return normalize(product, await fetchUpstream(this.id, url), { lat, lon });
+  },
+};
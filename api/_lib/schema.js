@@ -0,0 +1,19 @@
+// ── Forecast schema ──────────────────────────────────────────────────────────
+// Every provider adapter returns the same normalized shape:
+//   { provider, product, location: { lat, lon }, init, units, blocks }
+// where `init` and block `time`s are ISO strings and block fields are in the
+// units below. Fields a provider cannot supply are null; the provider's own
+// record is kept under `raw`.
+
+export const UNITS = {
+  cloudcover: "%",
+  seeing: "arcsec",
+  transparency: "mag/airmass",
+  liftedIndex: "°C",
+  rh: "%",
+  windSpeed: "m/s",
+  temp: "°C",
+};
+
+const COMPASS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+export const compass = (deg) => (deg == null ? null : COMPASS[Math.round((((deg % 360) + 360) % 360) / 45) % 8]);
@@ -0,0 +1,98 @@
+// ── Alert subscriptions ──────────────────────────────────────────────────────
+// Stores share one async interface, `all()` / `get(id)` / `put(sub)` /
+// `remove(id)`, so the alert routes and job can run on whatever storage the
+// host offers; back it with a real database in production. Pick one with
+// ALERT_STORE=file|sqlite|memory and ALERT_STORE_PATH. Locally it defaults to
+// file, so a local scheduler process sees what the dev server wrote; hosted
+// instances each have their own tmpdir, so there it must be set explicitly.
+//
+// A subscription is
+//   { id, endpoint, keys: { p256dh, auth }, site: { name, lat, lon, bortle },
+//     style, minScore, minHours, timeZone, lastNotified, createdAt }
+// with `lastNotified` the last night alerted, as the ISO start of that night
+// (getNight's `date`, the solar noon before it), so each good night is
+// announced once.
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+
+/** Per-process map; only for tests and single-process setups. */
+export function memorySubscriptions() {
+  const subs = new Map();
+  return {
+    async all() { return [...subs.values()]; },
+    async get(id) { return subs.get(id); },
+    async put(sub) { subs.set(sub.id, sub); },
+    async remove(id) { return subs.delete(id); },
+  };
+}
+
+/**
+ * Every subscription in one JSON file, rewritten atomically on each change.
+ * Fine for a handful of users; concurrent writers from several processes can
+ * lose updates.
+ */
+export function fileSubscriptions({ path = join(tmpdir(), "astroskies-alerts.json") } = {}) {
+  async function load() {
+    try {
+      return JSON.parse(await readFile(path, "utf8"));
+    } catch {
+      return {};
+    }
+  }
+  async function save(subs) {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(`${path}.tmp`, JSON.stringify(subs));
+    await rename(`${path}.tmp`, path);
+  }
+  return {
+    async all() { return Object.values(await load()); },
+    async get(id) { return (await load())[id]; },
+    async put(sub) {
+      const subs = await load();
+      await save({ ...subs, [sub.id]: sub });
+    },
+    async remove(id) {
+      const { [id]: gone, ...rest } = await load();
+      if (gone) await save(rest);
+      return !!gone;
+    },
+  };
+}
+
+/** One row per subscription in a SQLite file, via Node's built-in driver (Node 22.5+). */
+export function sqliteSubscriptions({ path = join(tmpdir(), "astroskies-alerts.db") } = {}) {
+  let db;
+  async function open() {
+    if (!db) {
+      const { DatabaseSync } = await import("node:sqlite");
+      db = new DatabaseSync(path);
+      db.exec("CREATE TABLE IF NOT EXISTS subscriptions (id TEXT PRIMARY KEY, data TEXT NOT NULL)");
+    }
+    return db;
+  }
+  return {
+    async all() {
+      return (await open()).prepare("SELECT data FROM subscriptions").all().map((row) => JSON.parse(row.data));
+    },
+    async get(id) {
+      const row = (await open()).prepare("SELECT data FROM subscriptions WHERE id = ?").get(id);
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    async put(sub) {
+      (await open()).prepare("INSERT OR REPLACE INTO subscriptions (id, data) VALUES (?, ?)").run(sub.id, JSON.stringify(sub));
+    },
+    async remove(id) {
+      return (await open()).prepare("DELETE FROM subscriptions WHERE id = ?").run(id).changes > 0;
+    },
+  };
+}
+
+/** The configured store, or null on a hosted deployment that has not chosen one. */
+export function createSubscriptionStore(env = process.env) {
+  const kind = env.ALERT_STORE, path = env.ALERT_STORE_PATH || undefined;
+  if (!kind && (env.VERCEL || env.NODE_ENV === "production")) return null;
+  if (kind === "memory") return memorySubscriptions();
+  if (kind === "sqlite") return sqliteSubscriptions({ path });
+  return fileSubscriptions({ path });
+}
@@ -0,0 +1,99 @@
+// ── Web Push ─────────────────────────────────────────────────────────────────
+// Sends a notification to a browser push subscription: the payload is
+// encrypted for the subscriber (RFC 8291, aes128gcm) and the request signed
+// with our VAPID key (RFC 8292), using only node:crypto. Keys come from
+// VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY (base64url, as printed by
+// `npm run alerts -- --keys`) and VAPID_SUBJECT (a mailto: or https: contact).
+import { createCipheriv, createECDH, createPrivateKey, hkdfSync, randomBytes, sign } from "node:crypto";
+import { ApiError, upstreamError, upstreamUnreachable } from "./errors.js";
+
+const RECORD_SIZE = 4096;
+const MAX_PAYLOAD = RECORD_SIZE - 103;  // header, padding delimiter and tag
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const fromB64url = (s) => Buffer.from(s, "base64url");
+const hkdf = (ikm, salt, info, length) => Buffer.from(hkdfSync("sha256", ikm, salt, info, length));
+
+/** A fresh P-256 key pair, base64url: `{ publicKey, privateKey }`. */
+export function generateVapidKeys() {
+  const ecdh = createECDH("prime256v1");
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+/** `{ publicKey, privateKey, subject }` from the environment, or null when alerts are not set up. */
+export function vapidFromEnv(env = process.env) {
+  const { VAPID_PUBLIC_KEY: publicKey, VAPID_PRIVATE_KEY: privateKey, VAPID_SUBJECT: subject } = env;
+  return publicKey && privateKey ? { publicKey, privateKey, subject: subject || "mailto:alerts@astroskies.app" } : null;
+}
+
+export const notConfigured = () =>
+  new ApiError(503, "alerts_unconfigured", "Alerts are not configured on this server", { retryable: false });
+
+/** The `Authorization` header for a push service: a 12-hour ES256 JWT for its origin. */
+function vapidAuthorization(endpoint, { publicKey, privateKey, subject }) {
+  const raw = fromB64url(publicKey);
+  const key = createPrivateKey({
+    key: { kty: "EC", crv: "P-256", x: b64url(raw.subarray(1, 33)), y: b64url(raw.subarray(33, 65)), d: privateKey },
+    format: "jwk",
+  });
+  const header = b64url(JSON.stringify({ typ: "JWT", alg: "ES256" }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 3600,
+    sub: subject,
+  }));
+  const signature = sign("sha256", Buffer.from(`${header}.${claims}`), { key, dsaEncoding: "ieee-p1363" });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${publicKey}`;
+}
+
+/** The aes128gcm body for one subscriber: salt, record size and our ephemeral key, then the ciphertext. */
+function encrypt(payload, { p256dh, auth }) {
+  const uaPublic = fromB64url(p256dh);
+  const ecdh     = createECDH("prime256v1");
+  const asPublic = ecdh.generateKeys();
+  const ikm   = hkdf(ecdh.computeSecret(uaPublic), fromB64url(auth),
+    Buffer.concat([Buffer.from("WebPush: info\0"), uaPublic, asPublic]), 32);
+  const salt  = randomBytes(16);
+  const cek   = hkdf(ikm, salt, Buffer.from("Content-Encoding: aes128gcm\0"), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  const cipher = createCipheriv("aes-128-gcm", cek, nonce);
+  const sealed = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, sealed]);
+}
+
+/**
+ * Push `message` (JSON-serialised) to `subscription` ({ endpoint, keys }).
+ * Resolves to `{ status, gone }`; `gone` means the browser dropped the
+ * subscription and it should be deleted. Other failures throw ApiErrors.
+ */
+export async function sendNotification(subscription, message, { vapid = vapidFromEnv(), ttl = 12 * 3600, urgency = "normal" } = {}) {
+  if (!vapid) throw notConfigured();
+  const payload = Buffer.from(JSON.stringify(message));
+  if (payload.length > MAX_PAYLOAD) throw new ApiError(400, "payload_too_large", "Notification payload is too large");
+
+  let res;
+  try {
+    res = await fetch(subscription.endpoint, {
+      method: "POST",
+      headers: {
+        Authorization: vapidAuthorization(subscription.endpoint, vapid),
+        "Content-Encoding": "aes128gcm",
+        "Content-Type": "application/octet-stream",
+        TTL: String(ttl),
+        Urgency: urgency,
+      },
+      body: encrypt(payload, subscription.keys),
+    });
+  } catch {
+    throw upstreamUnreachable("push service");
+  }
+  if (res.status === 404 || res.status === 410) return { status: res.status, gone: true };
+  if (!res.ok) throw upstreamError("push service", res.status);
+  return { status: res.status, gone: false };
+}
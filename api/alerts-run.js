@@ -0,0 +1,22 @@
+import { ApiError, sendError } from "./_lib/errors.js";
+import { createSubscriptionStore } from "./_lib/subscriptions.js";
+import { checkAlerts } from "./_lib/alerts.js";
+import { notConfigured } from "./_lib/webpush.js";
+
+const store = createSubscriptionStore();
+
+// Called by the Vercel cron in vercel.json, which sends CRON_SECRET as a bearer
+// token. Without a secret anyone could trigger pushes, so the route stays off.
+export default async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return sendError(res, notConfigured());
+  if (req.headers.authorization !== `Bearer ${secret}`) {
+    return sendError(res, new ApiError(401, "unauthorized", "Missing or wrong cron secret", { retryable: false }));
+  }
+  try {
+    return res.json(await checkAlerts(store));
+  } catch (err) {
+    return sendError(res, err, "Alert check failed");
+  }
+}
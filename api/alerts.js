@@ -0,0 +1,44 @@
+import { createHash } from "node:crypto";
+import { ApiError, badRequest, sendError } from "./_lib/errors.js";
+import { createSubscriptionStore } from "./_lib/subscriptions.js";
+import { parseAlertRequest } from "./_lib/alerts.js";
+import { vapidFromEnv, notConfigured } from "./_lib/webpush.js";
+
+const store = createSubscriptionStore();
+
+// One subscription per browser and site: subscribing again updates it.
+const alertId = ({ endpoint, site }) =>
+  createHash("sha256").update(`${endpoint}|${site.lat.toFixed(4)},${site.lon.toFixed(4)}`).digest("base64url").slice(0, 22);
+
+/**
+ * GET                 → { publicKey } for PushManager.subscribe
+ * POST { subscription, site, style, minScore, minHours, timeZone } → { id }
+ * DELETE ?id=…        → { removed }
+ */
+export default async function handler(req, res) {
+  res.setHeader("Cache-Control", "no-store");
+  try {
+    const vapid = vapidFromEnv();
+    if (!vapid || !store) throw notConfigured();
+
+    if (req.method === "GET") return res.json({ publicKey: vapid.publicKey });
+
+    if (req.method === "POST") {
+      const alert = parseAlertRequest(req.body);
+      const id = alertId(alert);
+      const existing = await store.get(id);
+      await store.put({ ...alert, id, lastNotified: existing?.lastNotified ?? null, createdAt: existing?.createdAt ?? new Date().toISOString() });
+      return res.status(existing ? 200 : 201).json({ id });
+    }
+
+    if (req.method === "DELETE") {
+      if (!req.query.id) throw badRequest("Missing id parameter");
+      return res.json({ removed: await store.remove(req.query.id) });
+    }
+
+    res.setHeader("Allow", "GET, POST, DELETE");
+    return sendError(res, new ApiError(405, "method_not_allowed", `Method ${req.method} not allowed`, { retryable: false }));
+  } catch (err) {
+    return sendError(res, err, "Alert subscription failed");
+  }
+}
@@ -0,0 +1,105 @@
+import { badRequest, sendError } from "./_lib/errors.js";
+import { buildCalendar } from "./_lib/ical.js";
+import { getForecast } from "./forecast.js";
+import { mergeBlocks } from "../src/lib/blocks.js";
+import { getNights, overlapHours } from "../src/lib/dark-window.js";
+import { scoreBlocks, bestWindow, scoreLabel, IMAGING_STYLES, DEFAULT_STYLE } from "../src/lib/scoring.js";
+import { siteSky } from "../src/lib/light-pollution.js";
+import { siteTimeZone, formatTime, formatDay, dateKey } from "../src/lib/timezone.js";
+import { moonPhaseLabel, formatHours } from "../src/lib/format.js";
+import { buildSearch } from "../src/lib/url-state.js";
+
+const DEFAULT_MIN_SCORE = 60;
+const NIGHTS = 7;
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+/** Description lines for one window: score, Moon, clouds, seeing and where the numbers came from. */
+function describeWindow({ night, best, style, minScore, sky, tz, init, url }) {
+  const blocks = best.blocks;
+  const clouds = blocks.map((b) => b.cloudcover).filter((v) => v != null);
+  const seeing = blocks.map((b) => b.seeing).filter((v) => v != null);
+  const transp = blocks.map((b) => b.transparency).filter((v) => v != null);
+  const moonUp = overlapHours(night.moonUp, best.start, best.end);
+  const phase  = moonPhaseLabel(night.moonPhase);
+  return [
+    `Score ${best.score} (${scoreLabel(best.score).label}, ${IMAGING_STYLES[style].label}, threshold ${minScore})`,
+    `${formatTime(best.start, tz)} – ${formatTime(best.end, tz)} ${tz} · ${formatHours((best.end - best.start) / 3600000)}`,
+    `Moon: ${phase.icon} ${phase.label}, ${Math.round(night.moonIllumination * 100)}% lit · `
+      + (moonUp ? `up for ${formatHours(moonUp)} of the window` : "below the horizon throughout"),
+    `Moonless dark time tonight: ${formatHours(night.darkHours)}`,
+    clouds.length ? `Clouds: ${Math.round(mean(clouds))}% average, ${Math.round(Math.max(...clouds))}% at most` : "Clouds: no data",
+    seeing.length ? `Seeing ${mean(seeing).toFixed(2)}″ · transparency ${mean(transp).toFixed(2)} mag/airmass` : "Cloud-only forecast (no seeing or transparency this far out)",
+    `Sky: Bortle ${sky.bortle}${sky.estimated ? " (estimated)" : ""}`,
+    `Forecast run ${init ?? "unknown"}; scores change as new runs arrive.`,
+    url,
+  ].join("\n");
+}
+
+/**
+ * GET ?lat=&lon=[&name=][&minScore=60][&style=deepSky][&bortle=]
+ * An .ics feed with one event per upcoming night whose best dark window scores
+ * at least `minScore`. Event UIDs are per site and night, so calendar apps
+ * update an event in place when a later run moves or rescores the window and
+ * drop it when the night no longer qualifies.
+ */
+export default async function handler(req, res) {
+  const { lat, lon, name, minScore = String(DEFAULT_MIN_SCORE), style = DEFAULT_STYLE, bortle } = req.query;
+
+  const latN = Number(lat), lonN = Number(lon), minN = Number(minScore);
+  if (!lat || !lon || !Number.isFinite(latN) || Math.abs(latN) > 90 || !Number.isFinite(lonN) || Math.abs(lonN) > 180) {
+    return sendError(res, badRequest("lat must be within ±90 and lon within ±180"));
+  }
+  if (!Number.isFinite(minN) || minN < 0 || minN > 100) return sendError(res, badRequest("minScore must be within 0–100"));
+  if (!IMAGING_STYLES[style]) {
+    return sendError(res, badRequest(`Unknown style; expected one of ${Object.keys(IMAGING_STYLES).join(", ")}`));
+  }
+  if (bortle && !/^[1-9]$/.test(bortle)) return sendError(res, badRequest("bortle must be 1–9"));
+
+  try {
+    // One product failing still leaves the other's nights.
+    const [astro, civil] = await Promise.allSettled([getForecast("astro", latN, lonN), getForecast("civil", latN, lonN)]);
+    if (astro.status === "rejected" && civil.status === "rejected") throw astro.reason;
+    const astroData = astro.value?.body, civilData = civil.value?.body;
+
+    const now  = new Date();
+    const site = { name: name || `${latN.toFixed(2)}, ${lonN.toFixed(2)}`, lat: latN, lon: lonN, bortle: bortle ? Number(bortle) : null };
+    const sky  = siteSky(site);
+    const tz   = siteTimeZone(latN, lonN);
+    const scored = scoreBlocks(mergeBlocks(astroData, civilData), latN, lonN, style, { bortle: sky.bortle });
+    const proto  = req.headers["x-forwarded-proto"] ?? "https";
+    const init   = astroData?.init ?? civilData?.init;
+
+    const events = getNights(now, latN, lonN, NIGHTS).flatMap((night) => {
+      const best = bestWindow(scored, night, { minScore: minN });
+      if (!best || best.end <= now) return [];
+      const key = dateKey(night.date, tz);
+      const url = `${proto}://${req.headers.host}/night${buildSearch({ city: site, night: key })}`;
+      return [{
+        uid: `${key}_${latN.toFixed(3)}_${lonN.toFixed(3)}_${style}@astroskies`,
+        start: best.start,
+        end: best.end,
+        summary: `✦ ${scoreLabel(best.score).label} skies at ${site.name} · ${best.score}`,
+        description: describeWindow({ night, best, style, minScore: minN, sky, tz, init, url }),
+        location: site.name,
+        geo: site,
+        url,
+      }];
+    });
+
+    const body = buildCalendar({
+      name: `AstroSkies · ${site.name}`,
+      description: `${IMAGING_STYLES[style].label} windows scoring ${minN}+ over the next ${NIGHTS} nights (${formatDay(now, tz)} on)`,
+      events,
+      now,
+    });
+    const file = site.name.replace(/[^\w-]+/g, "-").replace(/^-|-$/g, "").toLowerCase() || "site";
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="astroskies-${file}.ics"`);
+    res.setHeader("Cache-Control", "s-maxage=1800");
+    return res.status(200).send(body);
+  } catch (err) {
+    return sendError(res, err, "Failed to build calendar");
+  }
+}
@@ -1,23 +1,99 @@
+import { createStore } from "./_lib/cache.js";
+import { badRequest, sendError } from "./_lib/errors.js";
+import { PROVIDERS, PRODUCTS, DEFAULT_PROVIDER, forecastWithFallback } from "./_lib/providers/index.js";
+import { forecastBlocks } from "../src/lib/blocks.js";
+import { getNights } from "../src/lib/dark-window.js";
+import { scoreBlocks, IMAGING_STYLES, DEFAULT_STYLE } from "../src/lib/scoring.js";
+import { siteSky } from "../src/lib/light-pollution.js";
+import { siteTimeZone } from "../src/lib/timezone.js";
+import { exportRows, toCsv } from "../src/lib/export.js";
+
+const GRID_DEG      = 0.1; // requests within the same cell share one upstream call
+const RUN_HOURS     = 6;   // GFS cycles at 00/06/12/18 UTC
+const RUN_LAG_HOURS = 5;   // roughly how long a cycle takes to show up upstream
+const HOUR_MS       = 3600000;
+
+// One record per day with no block times, so there is nothing to score per row.
+const DAILY_PRODUCTS = ["civillight"];
+
+const store = createStore();
+
+const toCell = (v) => Number((Math.round(v / GRID_DEG) * GRID_DEG).toFixed(3));
+
+/** The newest model run we expect 7Timer to be serving right now. */
+function expectedRun(now = Date.now()) {
+  const period = RUN_HOURS * HOUR_MS;
+  return new Date(Math.floor((now - RUN_LAG_HOURS * HOUR_MS) / period) * period);
+}
+
+/**
+ * A product for the grid cell around (lat, lon), from the cache when this
+ * model run is already stored. Also used by the alert job (see _lib/alerts.js).
+ * Resolves to `{ body, hit }`.
+ */
+export async function getForecast(product, lat, lon, { provider = DEFAULT_PROVIDER, fallback = true } = {}) {
+  const cell = { lat: toCell(lat), lon: toCell(lon) };
+  const run  = expectedRun();
+  const key  = `${provider}:${product}:${cell.lat}:${cell.lon}:${run.toISOString().slice(0, 13)}${fallback ? "" : ":strict"}`;
+
+  const cached = await store.get(key);
+  if (cached) return { body: cached, hit: true };
+  const body = await forecastWithFallback(product, cell.lat, cell.lon, provider, { fallback });
+  // Served by a fallback, or still on an older run: check back sooner.
+  const current = !body.fallbackFrom && new Date(body.init) >= run;
+  await store.set(key, body, current ? RUN_HOURS * 3600 : 1800);
+  return { body, hit: false };
+}
+
+/**
+ * The product as CSV, one scored row per block (see src/lib/export.js). Sun,
+ * Moon and score are for the requested point rather than the grid cell;
+ * `style` and `bortle` tune the score as in the app.
+ */
+function sendCsv(res, body, { product, lat, lon, style, bortle }) {
+  const timeZone = siteTimeZone(lat, lon);
+  const scored = scoreBlocks(forecastBlocks(body, product), lat, lon, style, { bortle: siteSky({ lat, lon, bortle }).bortle });
+  const nights = scored.length ? getNights(scored[0].time, lat, lon, Math.ceil(scored.length / 8) + 1) : [];
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="forecast-${product}-${lat.toFixed(2)}_${lon.toFixed(2)}.csv"`);
+  return res.status(200).send(toCsv(exportRows(scored, { timeZone, nights })));
+}
+
 export default async function handler(req, res) {
-  const { lat, lon, product } = req.query;
+  const { lat, lon, product, provider = DEFAULT_PROVIDER, fallback, format = "json", style = DEFAULT_STYLE, bortle } = req.query;
 
   if (!lat || !lon || !product) {
-    return res.status(400).json({ error: "Missing lat, lon, or product parameter" });
+    return sendError(res, badRequest("Missing lat, lon, or product parameter"));
   }
 
-  try {
-    const url = `https://www.7timer.info/bin/api.pl?lat=${lat}&lon=${lon}&product=${product}&output=json`;
-    const upstream = await fetch(url);
+  const latN = Number(lat), lonN = Number(lon);
+  if (!Number.isFinite(latN) || Math.abs(latN) > 90 || !Number.isFinite(lonN) || Math.abs(lonN) > 180) {
+    return sendError(res, badRequest("lat must be within ±90 and lon within ±180"));
+  }
+  if (!PRODUCTS.includes(product)) {
+    return sendError(res, badRequest(`Unknown product; expected one of ${PRODUCTS.join(", ")}`));
+  }
+  if (!PROVIDERS[provider]) {
+    return sendError(res, badRequest(`Unknown provider; expected one of ${Object.keys(PROVIDERS).join(", ")}`));
+  }
+  if (format !== "json" && format !== "csv") return sendError(res, badRequest("Unknown format; expected json or csv"));
+  if (format === "csv" && DAILY_PRODUCTS.includes(product)) {
+    return sendError(res, badRequest(`CSV export needs a 3-hourly product; ${product} is daily`));
+  }
+  if (format === "csv" && !IMAGING_STYLES[style]) {
+    return sendError(res, badRequest(`Unknown style; expected one of ${Object.keys(IMAGING_STYLES).join(", ")}`));
+  }
+  if (bortle && !/^[1-9]$/.test(bortle)) return sendError(res, badRequest("bortle must be 1–9"));
 
-    if (!upstream.ok) {
-      return res.status(upstream.status).json({ error: "Upstream forecast request failed" });
-    }
+  res.setHeader("Access-Control-Allow-Origin", "*");
 
-    const data = await upstream.json();
-    res.setHeader("Access-Control-Allow-Origin", "*");
+  try {
+    const { body, hit } = await getForecast(product, latN, lonN, { provider, fallback: fallback !== "0" });
+    res.setHeader("X-Cache", hit ? "HIT" : "MISS");
     res.setHeader("Cache-Control", "s-maxage=1800"); // cache 30 mins on Vercel edge
-    return res.json(data);
+    if (format === "csv") return sendCsv(res, body, { product, lat: latN, lon: lonN, style, bortle: bortle ? Number(bortle) : null });
+    return res.json(body);
   } catch (err) {
-    return res.status(500).json({ error: "Failed to fetch forecast" });
+    return sendError(res, err, "Failed to fetch forecast");
   }
 }
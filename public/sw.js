@@ -0,0 +1,84 @@
+// ── Service worker ───────────────────────────────────────────────────────────
+// Keeps the app shell available offline. Pages are network-first with the
+// cached shell as fallback; hashed build assets are cache-first. API responses
+// are not handled here: the page keeps its own per-site copies in IndexedDB
+// (src/lib/offline-store.js) so it can show how old they are. It also shows the
+// clear-sky alert notifications pushed by the server.
+
+const SHELL_CACHE = "astroskies-shell-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/icon.svg"];
+
+// The built index.html names the hashed JS/CSS bundles; cache those too so the
+// first install already works offline.
+async function precache() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL);
+  const html = await (await cache.match("/")).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1]);
+  await cache.addAll(assets);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter((k) => k !== SHELL_CACHE).map((k) => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put("/", res.clone());
+    return res;
+  } catch {
+    return (await cache.match("/")) ?? Response.error();
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  if (request.mode === "navigate") event.respondWith(networkFirst(request));
+  else if (url.pathname.startsWith("/assets/") || SHELL.includes(url.pathname)) event.respondWith(cacheFirst(request));
+});
+
+// Clear-sky alerts from the server's alert job: { title, body, tag, url }.
+self.addEventListener("push", (event) => {
+  const message = event.data?.json() ?? {};
+  event.waitUntil(self.registration.showNotification(message.title ?? "AstroSkies", {
+    body: message.body,
+    tag: message.tag,
+    icon: "/icon.svg",
+    data: { url: message.url ?? "/" },
+  }));
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url ?? "/", self.location.origin).href;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+    if (open) {
+      await open.navigate(url);
+      return open.focus();
+    }
+    return self.clients.openWindow(url);
+  })());
+});
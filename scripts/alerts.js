@@ -0,0 +1,34 @@
+// ── Local alert scheduler ────────────────────────────────────────────────────
+// Runs the clear-sky alert check (api/_lib/alerts.js) on a timer, for hosts
+// without Vercel cron and for trying alerts locally against the same
+// subscription store the dev server writes to.
+//   npm run alerts                     check every ALERT_INTERVAL_MINUTES (60)
+//   npm run alerts -- --once           check once and exit
+//   npm run alerts -- --keys           print a new VAPID key pair and exit
+import { checkAlerts } from "../api/_lib/alerts.js";
+import { createSubscriptionStore } from "../api/_lib/subscriptions.js";
+import { generateVapidKeys } from "../api/_lib/webpush.js";
+
+const args = new Set(process.argv.slice(2));
+
+if (args.has("--keys")) {
+  const { publicKey, privateKey } = generateVapidKeys();
+  console.log(`VAPID_PUBLIC_KEY=${publicKey}\nVAPID_PRIVATE_KEY=${privateKey}`);
+  process.exit(0);
+}
+
+const store = createSubscriptionStore();
+const intervalMs = Number(process.env.ALERT_INTERVAL_MINUTES || 60) * 60000;
+
+async function run() {
+  try {
+    const { checked, notified, removed, failed } = await checkAlerts(store);
+    console.log(`${new Date().toISOString()} checked ${checked} · notified ${notified} · removed ${removed} · failed ${failed}`);
+  } catch (err) {
+    console.error(`${new Date().toISOString()} ${err.message}`);
+    if (args.has("--once")) process.exitCode = 1;
+  }
+}
+
+await run();
+if (!args.has("--once")) setInterval(run, intervalMs);
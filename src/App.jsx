@@ -1,35 +1,249 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import './App.css'
+// ── App shell ─────────────────────────────────────────────────────────────────
+// Site, settings and forecast state shared by every page, the header and the
+// page navigation. Pages are chosen by path (see lib/router); the shareable
+// state round-trips through the query string (see lib/url-state).
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { getNights, DEFAULT_MOON_LIMIT } from "./lib/dark-window";
+import { scoreBlocks, summarizeNight, IMAGING_STYLES, DEFAULT_STYLE } from "./lib/scoring";
+import { mergeBlocks } from "./lib/blocks";
+import { useSiteForecast, PROVIDER_LABELS } from "./lib/forecast";
+import { useSavedSites, sameLocation, loadLastSite, saveLastSite } from "./lib/sites";
+import { locateSite } from "./lib/geocode";
+import { siteSky } from "./lib/light-pollution";
+import { THEMES, DEFAULT_THEME, useTheme } from "./lib/theme";
+import { useEquipment } from "./lib/equipment";
+import { useUnits } from "./lib/units";
+import { CATALOG } from "./lib/catalog";
+import { DEFAULT_MIN_ALTITUDE } from "./lib/targets";
+import { MAX_CHART_TARGETS } from "./lib/chart";
+import { siteTimeZone, formatTime, formatDay, offsetLabel, dateKey, VIEWER_TZ } from "./lib/timezone";
+import { readUrlState, writeUrlState } from "./lib/url-state";
+import { skyLabel } from "./lib/format";
+import { usePath, navigate } from "./lib/router";
+import StarField from "./components/StarField";
+import LocationSearch from "./components/LocationSearch";
+import SitesBar from "./components/SitesBar";
+import Loading from "./components/Loading";
+import Link from "./components/Link";
+import Dashboard from "./pages/Dashboard";
+import NightPage from "./pages/NightPage";
+import SitesPage from "./pages/SitesPage";
+import TargetsPage from "./pages/TargetsPage";
+import LogPage from "./pages/LogPage";
+import SettingsPage from "./pages/SettingsPage";
+import "./App.css";
 
-function App() {
-  const [count, setCount] = useState(0)
+const PAGES = [
+  { path: "/",         label: "Dashboard" },
+  { path: "/night",    label: "Night" },
+  { path: "/targets",  label: "Targets" },
+  { path: "/sites",    label: "Sites" },
+  { path: "/log",      label: "Log" },
+  { path: "/settings", label: "Settings" },
+];
+
+export default function App() {
+  const path = usePath();
+  const [initialUrl]            = useState(readUrlState);
+  const [city, setCity]         = useState(() => initialUrl.city ?? loadLastSite());
+  const [units, setUnit]        = useUnits(initialUrl.unit);
+  const [nightKey, setNightKey] = useState(initialUrl.night);  // site-local date of the selected night
+  const [locating, setLocating] = useState(() => !initialUrl.city && !loadLastSite());
+  const [moonLimit, setMoonLimit] = useState(DEFAULT_MOON_LIMIT);
+  const [style, setStyle]       = useState(DEFAULT_STYLE);
+  const [dualTime, setDualTime] = useState(false);
+  const { sites, saveSite, removeSite } = useSavedSites();
+  const [theme, setTheme] = useTheme(initialUrl.theme);
+  const [equipment, equipmentActions] = useEquipment();
+  const [minAltitude, setMinAltitude] = useState(DEFAULT_MIN_ALTITUDE);
+  const [chartTargets, setChartTargets] = useState([]);  // catalog ids, oldest first
+  const toggleChartTarget = useCallback((id) => setChartTargets((ids) =>
+    ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id].slice(-MAX_CHART_TARGETS)), []);
+
+  const selectSite = useCallback((site) => { setCity(site); setNightKey(undefined); }, []);
+  const forecast   = useSiteForecast(city);
+
+  // Detect user's location on first load, unless the URL names a site or one was restored
+  useEffect(() => {
+    if (initialUrl.city || loadLastSite()) return;
+    locateSite().then((site) => { setCity(site); setLocating(false); });
+  }, [initialUrl]);
+
+  useEffect(() => { if (city) saveLastSite(city); }, [city]);
+
+  // Keep the URL in step with the view, and follow it on Back/Forward.
+  useEffect(() => {
+    if (city) writeUrlState({ city, unit: units.temp, night: nightKey, theme: theme === DEFAULT_THEME ? undefined : theme });
+  }, [city, units.temp, nightKey, theme]);
+
+  useEffect(() => {
+    const onPop = () => {
+      const state = readUrlState();
+      if (state.city) setCity((c) => sameLocation(c, state.city) ? c : state.city);
+      setUnit("temp", state.unit === "F" ? "F" : "C");
+      setNightKey(state.night);
+      setTheme(THEMES[state.theme] ? state.theme : DEFAULT_THEME);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [setTheme, setUnit]);
+
+  const now   = new Date();
+  const tz    = useMemo(() => city ? siteTimeZone(city.lat, city.lon) : VIEWER_TZ, [city]);
+  // Where times are shown and how: every clock and date formatter takes `zones`.
+  const zones = useMemo(() => ({
+    site: tz, viewer: dualTime && tz !== VIEWER_TZ ? VIEWER_TZ : null, clock: units.clock, dates: units.dates,
+  }), [tz, dualTime, units.clock, units.dates]);
+  const { astroData, civilData, online, savedAt } = forecast;
+
+  // The saved copy of the site, if any, carries the latest Bortle class entered for it.
+  const sky = useMemo(() => city ? siteSky(sites.find((s) => sameLocation(s, city)) ?? city) : null, [city, sites]);
+
+  const scored = useMemo(
+    () => city ? scoreBlocks(mergeBlocks(astroData, civilData), city.lat, city.lon, style, { bortle: sky.bortle }) : [],
+    [astroData, civilData, city, style, sky],
+  );
+
+  const nights      = useMemo(() => city ? getNights(new Date(), city.lat, city.lon, 7, { moonLimit }) : [], [city, moonLimit]);
+  const nightly     = useMemo(() => nights.map((n) => summarizeNight(n, scored)), [nights, scored]);
+  const nightIndex  = Math.max(0, nights.findIndex((n) => dateKey(n.date, tz) === nightKey));
+  const selectNight = (i) => setNightKey(i ? dateKey(nights[i].date, tz) : undefined);
+  const pinnedTargets = useMemo(() => chartTargets.map((id) => CATALOG.find((x) => x.id === id)), [chartTargets]);
+  const dataSources = [...new Set([astroData?.provider, civilData?.provider].filter(Boolean))].map((p) => PROVIDER_LABELS[p]).join(" + ");
+
+  const settings = { theme, style, moonLimit, minAltitude, dualTime };
+  const changeSetting = (key, value) => ({
+    theme: setTheme, style: setStyle, moonLimit: setMoonLimit, minAltitude: setMinAltitude, dualTime: setDualTime,
+  })[key](value);
+
+  function renderPage() {
+    switch (path) {
+      case "/settings":
+        return (
+          <SettingsPage
+            settings={settings} onChange={changeSetting} units={units} onUnit={setUnit}
+            equipment={equipment} equipmentActions={equipmentActions}
+          />
+        );
+      case "/sites":
+        return (
+          <SitesPage
+            sites={sites} city={city} style={style} moonLimit={moonLimit} zones={zones}
+            onSelect={(site) => { selectSite(site); navigate("/"); }} onSave={saveSite} onRemove={removeSite}
+          />
+        );
+      case "/log":
+        return (
+          <LogPage
+            city={city} sky={sky} style={style} units={units} zones={zones} forecast={forecast}
+            nightly={nightly} nightIndex={nightIndex} onSelectNight={selectNight}
+          />
+        );
+      case "/targets":
+        return (
+          <TargetsPage
+            city={city} sky={sky} nights={nights} nightIndex={nightIndex} onSelectNight={selectNight} zones={zones}
+            minAltitude={minAltitude} onMinAltitude={setMinAltitude}
+            pinned={chartTargets} onTogglePin={toggleChartTarget}
+          />
+        );
+      case "/night":
+        return (
+          <NightPage
+            nightly={nightly} nightIndex={nightIndex} onSelectNight={selectNight}
+            zones={zones} units={units} equipment={equipment} forecast={forecast}
+          />
+        );
+      default:
+        return (
+          <Dashboard
+            city={city} sky={sky} units={units} style={style} zones={zones} equipment={equipment} forecast={forecast} scored={scored}
+            nights={nights} nightly={nightly} nightIndex={nightIndex} onSelectNight={selectNight}
+            moonLimit={moonLimit} onMoonLimit={setMoonLimit}
+            minAltitude={minAltitude} pinnedTargets={pinnedTargets} onTogglePin={toggleChartTarget}
+          />
+        );
+    }
+  }
+
+  // Sites and Settings work without a site; the rest wait for one.
+  const needsSite = !["/sites", "/settings"].includes(path);
 
   return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
+    <div style={{ minHeight: "100vh", width: "100%", background: "var(--bg-gradient)", fontFamily: "Outfit,sans-serif", color: "var(--text)", position: "relative", overflowX: "hidden" }}>
+      <StarField />
+
+      <div className="container">
+
+        {/* ── Header ── */}
+        <header className="header">
+          <div className="header-brand">
+            <h1 className="title"><span style={{ color: "var(--accent)" }}>✦</span> AstroSkies</h1>
+            <p className="subtitle">Astrophotography Forecast</p>
+            <p className="location-label">⌖ {city?.name}</p>
+            {sky && (
+              <p className="sky-label" title={sky.estimated ? "Estimated offline from nearby cities; set the Bortle class for a saved site on the Sites page" : "Bortle class entered for this site"}>
+                ✧ {skyLabel(sky)}
+              </p>
+            )}
+            {city && (
+              <p className="tz-label">
+                ◷ {tz} · {offsetLabel(now, tz)}
+                {tz !== VIEWER_TZ && (
+                  <button className="tz-toggle" onClick={() => setDualTime((v) => !v)}>
+                    {dualTime ? "hide your time" : "+ your time"}
+                  </button>
+                )}
+              </p>
+            )}
+            {(savedAt || !online) && (
+              <p className="offline-stamp">
+                {online ? "⟳ Saved copy" : "⚡ Offline"}
+                {savedAt ? ` · forecast as of ${formatDay(new Date(savedAt), tz, zones)} ${formatTime(new Date(savedAt), tz, zones)}` : " · no saved forecast for this site"}
+              </p>
+            )}
+          </div>
+          <div className="header-controls">
+            <LocationSearch onSelect={selectSite} />
+            <select value={style} onChange={(e) => setStyle(e.target.value)} className="unit-toggle" title="Imaging style">
+              {Object.entries(IMAGING_STYLES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+            </select>
+            <button
+              onClick={() => setUnit("temp", units.temp === "C" ? "F" : "C")}
+              className="unit-toggle"
+              title="Temperature unit; the rest are under Settings"
+            >
+              °{units.temp === "C" ? "F" : "C"}
+            </button>
+            <button
+              onClick={() => setTheme(theme === "night" ? "default" : "night")}
+              className="unit-toggle"
+              title={theme === "night" ? `Switch to ${THEMES.default.label} theme` : `Switch to ${THEMES.night.label} (red light)`}
+              aria-pressed={theme === "night"}
+            >
+              ◐
+            </button>
+          </div>
+        </header>
+
+        <nav className="nav">
+          {PAGES.map((p) => (
+            <Link key={p.path} to={p.path} className={`nav-link ${p.path === path ? "nav-link-active" : ""}`}
+              aria-current={p.path === path ? "page" : undefined}>
+              {p.label}
+            </Link>
+          ))}
+        </nav>
+
+        <SitesBar sites={sites} city={city} onSelect={selectSite} onSave={saveSite} onRemove={removeSite} />
+
+        {needsSite && locating && <Loading text="Detecting your location…" />}
+        {(!needsSite || (!locating && city)) && renderPage()}
+
+        <footer style={{ textAlign: "center", padding: "24px 0 8px", color: "var(--text-footer)", fontSize: 10, fontFamily: "Space Mono,monospace" }}>
+          Data: {dataSources || "7Timer!"} · Moon & Twilight: Meeus ephemeris · Geocoding: OpenStreetMap
+        </footer>
       </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
-  )
+    </div>
+  );
 }
-
-export default App
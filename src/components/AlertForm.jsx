@@ -0,0 +1,50 @@
+// ── Alert Form ────────────────────────────────────────────────────────────────
+// Set up, change or cancel the clear-sky alert for one saved site.
+import { useState } from "react";
+import { ALERT_SCORES, ALERT_HOURS, DEFAULT_ALERT } from "../lib/alerts";
+import { describeError } from "../lib/http";
+import { IMAGING_STYLES } from "../lib/scoring";
+
+export default function AlertForm({ site, alert, style, onSubscribe, onUnsubscribe, onClose }) {
+  const [form, setForm]   = useState({ minScore: alert?.minScore ?? DEFAULT_ALERT.minScore, minHours: alert?.minHours ?? DEFAULT_ALERT.minHours });
+  const [busy, setBusy]   = useState(false);
+  const [error, setError] = useState(null);
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: Number(e.target.value) }));
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      onClose();
+    } catch (err) {
+      setError(describeError(err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="card site-form" onSubmit={(e) => { e.preventDefault(); run(() => onSubscribe(site, form, style)); }}>
+      <p className="setting-hint" style={{ gridColumn: "1 / -1" }}>
+        Notify this browser when tonight at <strong>{site.name}</strong> scores at least the minimum ({IMAGING_STYLES[style].label})
+        with at least the given hours of moonless darkness. Sent once per night, up to 12 hours ahead.
+      </p>
+      <label>Minimum score
+        <select value={form.minScore} onChange={set("minScore")}>
+          {ALERT_SCORES.map((v) => <option key={v} value={v}>{v}</option>)}
+        </select>
+      </label>
+      <label>Moonless hours
+        <select value={form.minHours} onChange={set("minHours")}>
+          {ALERT_HOURS.map((v) => <option key={v} value={v}>{v} h</option>)}
+        </select>
+      </label>
+      {error && <p className="setting-hint" style={{ gridColumn: "1 / -1", color: "var(--danger)" }}>⚠ {error}</p>}
+      <div className="site-form-actions">
+        {alert && <button type="button" className="chip" disabled={busy} onClick={() => run(() => onUnsubscribe(site))}>Turn off</button>}
+        <button type="button" className="chip" onClick={onClose}>Cancel</button>
+        <button type="submit" className="chip chip-active" disabled={busy}>{alert ? "Update alert" : "Turn on alert"}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,91 @@
+// ── Altitude Chart ────────────────────────────────────────────────────────────
+// Moon and pinned targets over the 48-hour forecast window, on the same time
+// axis as the forecast chart. Daytime and twilight are shaded; forecast blocks
+// where a pinned target is above the minimum altitude in clear, dark sky are
+// highlighted.
+import { useMemo } from "react";
+import { ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ReferenceArea, ResponsiveContainer } from "recharts";
+import { getMoonPosition } from "../lib/ephemeris";
+import { twilightBands } from "../lib/dark-window";
+import { targetLabel } from "../lib/catalog";
+import { targetAltitude } from "../lib/targets";
+import { formatDateHour } from "../lib/timezone";
+import { syncNearest, TARGET_COLORS, CLEAR_CLOUD } from "../lib/chart";
+import ChartTooltip from "./ChartTooltip";
+
+const ALTITUDE_STEP_MS = 20 * 60000;
+
+const TWILIGHT_SHADES = [
+  ["astronomical", "var(--sky-nautical)"],
+  ["nautical",     "var(--sky-civil)"],
+  ["civil",        "var(--sky-sunset)"],
+  ["sunrise",      "var(--sky-day)"],
+];
+
+export default function AltitudeChart({ blocks, city, targets, minAltitude, zones, ticks }) {
+  const start = blocks[0].time, end = blocks[blocks.length - 1].time;
+  const half  = (blocks[1]?.time - blocks[0].time || 3 * 3600000) / 2;
+
+  const data = useMemo(() => {
+    const rows = [];
+    for (let t = start.valueOf(); t <= end.valueOf(); t += ALTITUDE_STEP_MS) {
+      const date = new Date(t);
+      const row  = {
+        t,
+        time: formatDateHour(date, zones.site, zones),
+        viewerTime: zones.viewer && formatDateHour(date, zones.viewer, zones),
+        Moon: getMoonPosition(date, city.lat, city.lon).altitude,
+      };
+      for (const target of targets) row[target.id] = targetAltitude(target, date, city.lat, city.lon);
+      // Below the horizon is not drawn.
+      for (const k of ["Moon", ...targets.map((x) => x.id)]) row[k] = row[k] > 0 ? Math.round(row[k]) : null;
+      rows.push(row);
+    }
+    return rows;
+  }, [start, end, city, targets, zones]);
+
+  const bands = useMemo(
+    () => twilightBands(new Date(start - half), new Date(end.valueOf() + half), city.lat, city.lon),
+    [start, end, half, city],
+  );
+
+  // Blocks where any pinned target is up in clear, dark sky; rows at those
+  // block times list which targets in the tooltip.
+  const clearBlocks = blocks.map((b) => ({
+    t: b.time.valueOf(),
+    targets: b.inNight && b.cloudcover <= CLEAR_CLOUD
+      ? targets.filter((x) => targetAltitude(x, b.time, city.lat, city.lon) >= minAltitude).map((x) => x.id)
+      : [],
+  })).filter((b) => b.targets.length);
+  const rows = data.map((r) => {
+    const clear = clearBlocks.find((b) => b.t === r.t);
+    return clear ? { ...r, clearFor: clear.targets } : r;
+  });
+
+  return (
+    <ResponsiveContainer width="100%" height={180}>
+      {/* right margin matches the forecast chart's right axis, so the time axes line up */}
+      <ComposedChart data={rows} syncId="forecast48" syncMethod={syncNearest} margin={{ top: 8, right: 40, left: -28, bottom: 4 }}>
+        {TWILIGHT_SHADES.flatMap(([level, fill]) => bands[level].map((b, i) => (
+          <ReferenceArea key={level + i} x1={b.start.valueOf()} x2={b.end.valueOf()} y1={0} y2={90} fill={fill} fillOpacity={0.7} stroke="none" ifOverflow="hidden" />
+        )))}
+        {clearBlocks.map((b) => (
+          <ReferenceArea key={"clear" + b.t} x1={b.t - half} x2={b.t + half} y1={minAltitude} y2={90}
+            fill="var(--dark)" fillOpacity={0.1} stroke="var(--dark)" strokeOpacity={0.3} ifOverflow="hidden" />
+        ))}
+        <CartesianGrid strokeDasharray="3 3" stroke="var(--line-faint)" />
+        <XAxis dataKey="t" type="number" scale="time" domain={[start.valueOf(), end.valueOf()]} ticks={ticks}
+          tickFormatter={(t) => formatDateHour(new Date(t), zones.site, zones)} allowDataOverflow
+          stroke="var(--line-strong)" tick={{ fill: "var(--text-faint)", fontSize: 9, fontFamily: "Space Mono" }} />
+        <YAxis domain={[0, 90]} ticks={[0, 30, 60, 90]} stroke="var(--line-strong)" tick={{ fill: "var(--text-faint)", fontSize: 9, fontFamily: "Space Mono" }} />
+        <ReferenceLine y={minAltitude} stroke="var(--line-strong)" strokeDasharray="4 3" />
+        <Tooltip content={<ChartTooltip />} cursor={{ stroke: "var(--line-strong)" }} />
+        <Legend wrapperStyle={{ color: "var(--text-muted)", fontSize: 11, fontFamily: "Space Mono" }} />
+        <Line type="monotone" dataKey="Moon" unit="°" stroke="var(--series-moon)" strokeWidth={1.5} strokeDasharray="5 3" dot={false} />
+        {targets.map((x, i) => (
+          <Line key={x.id} type="monotone" dataKey={x.id} name={targetLabel(x)} unit="°" stroke={TARGET_COLORS[i]} strokeWidth={2} dot={false} />
+        ))}
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+}
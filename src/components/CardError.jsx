@@ -0,0 +1,15 @@
+// ── Card Error ────────────────────────────────────────────────────────────────
+import { describeError } from "../lib/http";
+
+export default function CardError({ error, pending, onRetry }) {
+  return (
+    <div style={{ padding: "24px 0", textAlign: "center", fontFamily: "Space Mono,monospace", fontSize: 12 }}>
+      <p style={{ color: "var(--danger)" }}>⚠ {describeError(error)}</p>
+      {onRetry && (error?.retryable ?? true) && (
+        <button className="chip" style={{ marginTop: 10 }} onClick={onRetry} disabled={pending}>
+          {pending ? "Retrying…" : "↻ Retry"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// ── Chart Tooltip ─────────────────────────────────────────────────────────────
+// Series with a `unit` prop (altitudes, seeing and transparency in the chosen
+// display) use it; the rest are Cloud % and Score /100.
+const seriesUnit = (p) => p.unit ?? (p.name.startsWith("Cloud") ? "%" : p.name === "Score" ? "/100" : "");
+
+export default function ChartTooltip({ active, payload }) {
+  if (!active || !payload?.length) return null;
+  const { time, viewerTime, clearFor } = payload[0].payload;
+  return (
+    <div style={{ background: "var(--tooltip-bg)", border: "1px solid var(--tooltip-border)", borderRadius: 8, padding: "10px 14px", fontSize: 12, color: "var(--text)" }}>
+      <p style={{ margin: "0 0 6px", color: "var(--tooltip-label)", fontFamily: "monospace" }}>
+        {time}{viewerTime && <span className="viewer-time">{viewerTime} your time</span>}
+      </p>
+      {payload.filter((p) => p.value != null).map((p) => (
+        <p key={p.name} style={{ margin: "2px 0", color: p.color }}>
+          {p.name}: <strong>{Array.isArray(p.value) ? p.value.join("–") : p.value}{seriesUnit(p)}</strong>
+        </p>
+      ))}
+      {clearFor?.length > 0 && <p style={{ margin: "6px 0 0", color: "var(--dark)" }}>Clear &amp; dark: {clearFor.join(", ")}</p>}
+    </div>
+  );
+}
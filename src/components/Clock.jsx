@@ -0,0 +1,12 @@
+// ── Clock ─────────────────────────────────────────────────────────────────────
+// Site-local time, with the viewer's own time alongside when `zones.viewer` is set.
+import { formatTime } from "../lib/timezone";
+
+export default function Clock({ date, zones }) {
+  return (
+    <>
+      {formatTime(date, zones.site, zones)}
+      {zones.viewer && date && <span className="viewer-time">{formatTime(date, zones.viewer, zones)}</span>}
+    </>
+  );
+}
@@ -0,0 +1,60 @@
+// ── Current Conditions ────────────────────────────────────────────────────────
+import { scoreLabel, FACTORS, IMAGING_STYLES } from "../lib/scoring";
+import { dewRisk, blockWarnings } from "../lib/weather";
+import { milkyWayOutlook } from "../lib/light-pollution";
+import { fmt, fmtWind, fmtSeeing, fmtTransparency } from "../lib/format";
+import Clock from "./Clock";
+import MetricBar from "./MetricBar";
+import CardError from "./CardError";
+import Warnings from "./Warnings";
+
+const DEW_COLORS = { low: "var(--text)", moderate: "var(--warning)", high: "var(--danger)" };
+const SKY_COLORS = { ok: "var(--good)", moderate: "var(--warning)", high: "var(--danger)" };
+
+export default function ConditionsCard({ current, best, temp, units, style, zones, sky, equipment, error, pending, onRetry }) {
+  const currentCond = current ? scoreLabel(current.score) : null;
+  const dew = current && dewRisk(current, equipment.thresholds);
+  const milkyWay = style === "milkyWay" && sky ? milkyWayOutlook(sky.bortle) : null;
+  return (
+    <div className="card conditions-card">
+      <p className="card-label">Current Conditions</p>
+      <div style={{ display: "flex", alignItems: "center", gap: 16, marginTop: 10, flexWrap: "wrap" }}>
+        <span style={{ fontSize: 52, lineHeight: 1 }}>{currentCond?.icon}</span>
+        <div>
+          <p style={{ fontFamily: "Space Mono,monospace", fontSize: "clamp(20px,5vw,28px)", fontWeight: 700, color: currentCond?.color }}>{currentCond?.label}</p>
+          {current && <p style={{ fontFamily: "Space Mono,monospace", fontSize: 12, color: "var(--text-muted)", marginTop: 2 }}>Score {current.score}/100 · {IMAGING_STYLES[style].label}</p>}
+          {temp != null && <p style={{ fontSize: 20, color: "var(--text)", marginTop: 4 }}>{fmt(temp, units.temp)}</p>}
+        </div>
+      </div>
+      <p style={{ fontFamily: "Space Mono,monospace", fontSize: 12, marginTop: 12, color: best ? scoreLabel(best.score).color : "var(--text-dim)" }}>
+        {best
+          ? <>Best window tonight: <Clock date={best.start} zones={zones} /> – <Clock date={best.end} zones={zones} /> · score {best.score}</>
+          : "No good imaging window tonight"}
+      </p>
+      {milkyWay && (
+        <p style={{ fontFamily: "Space Mono,monospace", fontSize: 11, marginTop: 6, color: SKY_COLORS[milkyWay.level] }}>
+          {milkyWay.level === "ok" ? "✦" : "⚠"} Bortle {sky.bortle}: {milkyWay.text}
+        </p>
+      )}
+      {!current && (
+        <CardError error={error} pending={pending} onRetry={onRetry} />
+      )}
+      {current && (
+        <div className="metrics-grid">
+          <MetricBar label="Cloud Cover"  value={`${Math.round(current.cloudcover)}%`}   pct={current.cloudcover}                  color="var(--series-cloud)" />
+          <MetricBar label="Seeing"        value={fmtSeeing(current, units.seeing)}       pct={FACTORS.seeing(current) * 100}       color="var(--series-seeing)" />
+          <MetricBar label="Transparency"  value={fmtTransparency(current, units.seeing)} pct={FACTORS.transparency(current) * 100} color="var(--series-transparency)" />
+          <MetricBar label="Wind Speed"    value={current.wind?.speed != null ? fmtWind(current.wind.speed, units.wind) : "–"} pct={null} color="var(--text)" />
+          <MetricBar label="Humidity"      value={current.rh != null ? `${Math.round(current.rh)}%` : "–"} pct={current.rh} color="var(--text)" />
+          <MetricBar label="Dew Point"     value={dew ? `${fmt(dew.dewPoint, units.temp)} · ${dew.level} risk` : "–"} pct={null} color={dew ? DEW_COLORS[dew.level] : "var(--text)"} />
+        </div>
+      )}
+      {current && (
+        <div style={{ marginTop: 12 }}>
+          <Warnings warnings={blockWarnings(current, equipment.thresholds)} units={units} />
+          <p style={{ marginTop: 6, fontSize: 10, color: "var(--text-ghost)", fontFamily: "Space Mono,monospace" }}>Warnings for {equipment.label}</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+// ── Export Buttons ────────────────────────────────────────────────────────────
+// CSV and JSON downloads of a card's blocks (see lib/export). Rows are built
+// on click, so cards pay nothing until someone exports.
+import { exportRows, toCsv, toJsonExport, exportFileName, downloadText } from "../lib/export";
+
+export default function ExportButtons({ blocks, nights, site, zones, units, style, label }) {
+  const rows = () => exportRows(blocks, { timeZone: zones.site, nights, units });
+  return (
+    <span className="export-buttons">
+      <button className="chip" disabled={!blocks.length} title="Download as CSV"
+        onClick={() => downloadText(exportFileName(site, label, "csv"), toCsv(rows()), "text/csv")}>
+        ⤓ CSV
+      </button>
+      <button className="chip" disabled={!blocks.length} title="Download as JSON"
+        onClick={() => downloadText(exportFileName(site, label, "json"), toJsonExport({ site, timeZone: zones.site, style, units, rows: rows() }), "application/json")}>
+        ⤓ JSON
+      </button>
+    </span>
+  );
+}
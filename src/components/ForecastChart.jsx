@@ -0,0 +1,153 @@
+// ── 48-Hour Forecast ──────────────────────────────────────────────────────────
+// Cloud, seeing, transparency and score every 3 hours, optionally with every
+// provider's cloud cover overlaid, and the altitude chart on the same time axis.
+import { useState, useEffect, useMemo } from "react";
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from "recharts";
+import { fetchEnsemble, cloudEnsemble, PROVIDER_LABELS, DEFAULT_DISAGREEMENT } from "../lib/forecast";
+import { targetLabel } from "../lib/catalog";
+import { formatDateHour } from "../lib/timezone";
+import { syncNearest, CLEAR_CLOUD } from "../lib/chart";
+import { PROVIDER_COLORS, SEEING_DISPLAYS, seeingValue, transparencyValue } from "../lib/format";
+import ChartTooltip from "./ChartTooltip";
+import AltitudeChart from "./AltitudeChart";
+import CardError from "./CardError";
+import ExportButtons from "./ExportButtons";
+import Link from "./Link";
+
+function ensembleFields(e) {
+  if (!e) return {};
+  return {
+    "Cloud Range": [Math.round(e.min), Math.round(e.max)],
+    "Cloud Mean": Math.round(e.mean),
+    ...Object.fromEntries(Object.entries(e.values).map(([p, v]) => [`Cloud (${PROVIDER_LABELS[p]})`, Math.round(v)])),
+    disagree: e.disagree,
+  };
+}
+
+export default function ForecastChart({ blocks, astroData, city, zones, units, style, nights, error, pending, onRetry, pinnedTargets, onTogglePin, minAltitude }) {
+  const [showEnsemble, setShowEnsemble] = useState(false);
+  const [ensemble, setEnsemble] = useState(null);
+  const [disagreeAt, setDisagreeAt] = useState(DEFAULT_DISAGREEMENT);
+
+  useEffect(() => {
+    if (!city || !showEnsemble) return;
+    let stale = false;
+    fetchEnsemble(city.lat, city.lon).then((forecasts) => { if (!stale) setEnsemble({ city, forecasts }); });
+    return () => { stale = true; };
+  }, [city, showEnsemble]);
+
+  const ensembleForecasts = showEnsemble && ensemble?.city === city ? ensemble.forecasts : null;
+  const cloudSpread = useMemo(
+    () => ensembleForecasts && cloudEnsemble(ensembleForecasts, { threshold: disagreeAt }),
+    [ensembleForecasts, disagreeAt],
+  );
+
+  const chartData = blocks.map((d) => ({
+    ...ensembleFields(cloudSpread?.get(d.time.valueOf())),
+    t: d.time.valueOf(),
+    time: formatDateHour(d.time, zones.site, zones),
+    viewerTime: zones.viewer && formatDateHour(d.time, zones.viewer, zones),
+    "Cloud Cover": d.cloudcover,
+    "Seeing": seeingValue(d, units.seeing),
+    "Transparency": transparencyValue(d, units.seeing),
+    "Score": d.score,
+  }));
+
+  const disagreeing  = chartData.filter((d) => d.disagree);
+  const chartTicks   = chartData.filter((_, i) => i % 3 === 0).map((d) => d.t);
+  const fine         = SEEING_DISPLAYS[units.seeing];
+
+  return (
+    <div className="card" style={{ marginBottom: 20 }}>
+      <div className="card-head">
+        <p className="card-label">48-Hour Forecast</p>
+        <ExportButtons blocks={blocks} nights={nights} site={city} zones={zones} units={units} style={style} label="48h" />
+      </div>
+      <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 16px", fontFamily: "Space Mono,monospace" }}>
+        Cloud Cover (%) · Score (0–100) · right axis: {units.seeing === "scale" ? "Seeing (1–8) · Transparency (1–8)" : "Seeing (″) · Transparency (mag/airmass)"} · every 3 hours
+      </p>
+      {!astroData && <CardError error={error} pending={pending} onRetry={onRetry} />}
+      {astroData && (<>
+      {astroData.fallbackFrom && (
+        <p style={{ color: "var(--caution)", fontSize: 11, margin: "-10px 0 12px", fontFamily: "Space Mono,monospace" }}>
+          ⚠ {PROVIDER_LABELS[astroData.fallbackFrom]} unavailable — showing {PROVIDER_LABELS[astroData.provider]} (no seeing/transparency)
+        </p>
+      )}
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 12, margin: "-6px 0 12px", fontSize: 11, color: "var(--text-dim)" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+          <input type="checkbox" checked={showEnsemble} onChange={(e) => setShowEnsemble(e.target.checked)} />
+          Compare providers
+        </label>
+        {showEnsemble && (
+          <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            Flag disagreement over
+            <select value={disagreeAt} onChange={(e) => setDisagreeAt(Number(e.target.value))} className="mini-select">
+              {[20, 30, 40, 50].map((v) => <option key={v} value={v}>{v}%</option>)}
+            </select>
+          </label>
+        )}
+        {showEnsemble && (
+          <span style={{ fontFamily: "Space Mono,monospace", color: disagreeing.length ? "var(--warning)" : "var(--text-dim)" }}>
+            {!ensembleForecasts
+              ? "Loading providers…"
+              : ensembleForecasts.length < 2
+                ? "Only one provider available"
+                : `${disagreeing.length} of ${chartData.length} blocks disagree`}
+          </span>
+        )}
+      </div>
+      <ResponsiveContainer width="100%" height={220}>
+        <ComposedChart data={chartData} syncId="forecast48" syncMethod={syncNearest} margin={{ top: 4, right: 8, left: -28, bottom: 4 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="var(--line-faint)" />
+          <XAxis dataKey="t" type="number" scale="time" domain={["dataMin", "dataMax"]} ticks={chartTicks}
+            tickFormatter={(t) => formatDateHour(new Date(t), zones.site, zones)}
+            stroke="var(--line-strong)" tick={{ fill: "var(--text-faint)", fontSize: 9, fontFamily: "Space Mono" }} />
+          <YAxis stroke="var(--line-strong)" tick={{ fill: "var(--text-faint)", fontSize: 9, fontFamily: "Space Mono" }} domain={[0, 100]} />
+          {/* Seeing and transparency span a few units, not 0–100 */}
+          <YAxis yAxisId="fine" orientation="right" width={32} domain={fine.axis} allowDataOverflow
+            stroke="var(--line-strong)" tick={{ fill: "var(--text-faint)", fontSize: 9, fontFamily: "Space Mono" }} />
+          <Tooltip content={<ChartTooltip />} cursor={{ stroke: "var(--line-strong)" }} />
+          <Legend wrapperStyle={{ color: "var(--text-muted)", fontSize: 11, fontFamily: "Space Mono" }} />
+          {disagreeing.map((d) => (
+            <ReferenceLine key={d.t} x={d.t} stroke="var(--warning)" strokeDasharray="2 3" strokeOpacity={0.6} />
+          ))}
+          {cloudSpread ? (
+            <>
+              <Area type="monotone" dataKey="Cloud Range" stroke="none" fill="var(--series-cloud)" fillOpacity={0.12} legendType="square" />
+              {ensembleForecasts.map((f) => (
+                <Line key={f.provider} type="monotone" dataKey={`Cloud (${PROVIDER_LABELS[f.provider]})`}
+                  stroke={PROVIDER_COLORS[f.provider]} strokeWidth={1} strokeDasharray="3 3" dot={false} />
+              ))}
+              <Line type="monotone" dataKey="Cloud Mean" stroke="var(--series-cloud)" strokeWidth={2} dot={false} />
+            </>
+          ) : (
+            <Line type="monotone" dataKey="Cloud Cover" stroke="var(--series-cloud)" strokeWidth={2} dot={false} />
+          )}
+          <Line type="monotone" dataKey="Seeing"       yAxisId="fine" unit={fine.seeing} stroke="var(--series-seeing)" strokeWidth={2} dot={false} />
+          <Line type="monotone" dataKey="Transparency" yAxisId="fine" unit={fine.transparency} stroke="var(--series-transparency)" strokeWidth={2} dot={false} />
+          <Line type="monotone" dataKey="Score"        stroke="var(--series-score)" strokeWidth={2} strokeDasharray="4 3" dot={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+      {blocks.length > 1 && (
+        <>
+          <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 8, margin: "14px 0 8px" }}>
+            <p className="card-label" style={{ margin: 0 }}>Altitude</p>
+            {pinnedTargets.map((x) => (
+              <span key={x.id} className="chip chip-active">
+                {targetLabel(x)}
+                <span onClick={() => onTogglePin(x.id)} className="chip-remove" title="Remove from chart">×</span>
+              </span>
+            ))}
+            <span style={{ color: "var(--text-ghost)", fontSize: 11, fontFamily: "Space Mono,monospace" }}>
+              {pinnedTargets.length
+                ? `highlighted: clear (≤${CLEAR_CLOUD}% cloud), dark, above ${minAltitude}°`
+                : <>Moon only · add targets from the <Link to="/targets">planner</Link></>}
+            </span>
+          </div>
+          <AltitudeChart blocks={blocks} city={city} targets={pinnedTargets} minAltitude={minAltitude} zones={zones} ticks={chartTicks} />
+        </>
+      )}
+      </>)}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+// ── Forecast Error ────────────────────────────────────────────────────────────
+// Shown in place of a page when neither forecast product could be loaded.
+import { describeError } from "../lib/http";
+
+export default function ForecastError({ error, onRetry }) {
+  return (
+    <div style={{ textAlign: "center", padding: 40, color: "var(--danger)", fontFamily: "Space Mono,monospace" }}>
+      ⚠ Failed to load forecast. {describeError(error)}
+      <div><button className="chip" style={{ marginTop: 12 }} onClick={onRetry}>↻ Retry</button></div>
+    </div>
+  );
+}
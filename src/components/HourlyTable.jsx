@@ -0,0 +1,56 @@
+// ── Hour by Hour ──────────────────────────────────────────────────────────────
+// Every forecast block of a night with its decoded fields, the Sun and Moon
+// and the score. Blocks in the night's best window are highlighted; blocks
+// outside astronomical darkness are dimmed; cells that raise an equipment
+// warning are colored by its level.
+import { scoreLabel } from "../lib/scoring";
+import { dewPoint, blockWarnings, PRECIP_LABELS } from "../lib/weather";
+import { fmt, fmtWind, fmtSeeing, fmtTransparency, SOURCE_LABELS } from "../lib/format";
+import Clock from "./Clock";
+
+const dash = "–";
+const fixed = (v, digits, suffix = "") => (v == null ? dash : `${v.toFixed(digits)}${suffix}`);
+const degrees = (v) => `${Math.round(v)}°`;
+const LEVEL_COLORS = { moderate: "var(--warning)", high: "var(--danger)" };
+
+export default function HourlyTable({ night, units, zones, equipment }) {
+  const best = new Set(night.best?.blocks ?? []);
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table className="compare-table planner-table hourly-table">
+        <thead>
+          <tr>
+            <th>Time</th><th>Score</th><th>Cloud</th><th title="Seeing (FWHM)">Seeing</th><th title="Extinction per airmass">Transp.</th>
+            <th title="Lifted index (°C); negative is unstable">LI</th><th>RH</th><th>Wind</th><th>Precip.</th>
+            <th>Temp</th><th title="Estimated from temperature and RH">Dew pt</th><th>Sun</th><th>Moon</th><th>Source</th>
+          </tr>
+        </thead>
+        <tbody>
+          {night.blocks.map((b) => {
+            const dew  = dewPoint(b.temp, b.rh);
+            const warn = Object.fromEntries(blockWarnings(b, equipment.thresholds).map((w) => [w.kind, { color: LEVEL_COLORS[w.level] }]));
+            return (
+              <tr key={b.time.valueOf()} className={best.has(b) ? "hour-best" : undefined} style={{ opacity: b.inNight ? 1 : 0.55 }}>
+                <td className="compare-site"><Clock date={b.time} zones={zones} /></td>
+                <td><strong style={{ color: scoreLabel(b.score).color }}>{b.score}</strong></td>
+                <td>{fixed(b.cloudcover, 0, "%")}</td>
+                <td>{fmtSeeing(b, units.seeing)}</td>
+                <td>{fmtTransparency(b, units.seeing)}</td>
+                <td>{b.liftedIndex ?? dash}</td>
+                <td>{fixed(b.rh, 0, "%")}</td>
+                <td style={warn.wind}>{b.wind?.speed != null ? `${fmtWind(b.wind.speed, units.wind)} ${b.wind.direction ?? ""}`.trim() : dash}</td>
+                <td style={warn.precip}>{PRECIP_LABELS[b.precType] ?? b.precType ?? dash}</td>
+                <td style={warn.freezing}>{b.temp != null ? fmt(b.temp, units.temp) : dash}</td>
+                <td style={warn.dew}>{dew != null ? fmt(dew, units.temp) : dash}</td>
+                <td>{degrees(b.sunAltitude)}</td>
+                <td>{b.moonAltitude > 0 ? degrees(b.moonAltitude) : "set"}</td>
+                <td><span className={`source-${b.source}`}>{SOURCE_LABELS[b.source]}</span></td>
+              </tr>
+            );
+          })}
+          {!night.blocks.length && <tr><td colSpan={14} className="compare-status">No forecast blocks for this night</td></tr>}
+        </tbody>
+      </table>
+    </div>
+  );
+}
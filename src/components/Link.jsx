@@ -0,0 +1,7 @@
+// ── Link ──────────────────────────────────────────────────────────────────────
+// In-app link that keeps the current query (site, units, night) across pages.
+import { linkHandler } from "../lib/router";
+
+export default function Link({ to, children, ...props }) {
+  return <a href={to + window.location.search} onClick={linkHandler(to)} {...props}>{children}</a>;
+}
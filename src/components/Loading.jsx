@@ -0,0 +1,9 @@
+// ── Loading ───────────────────────────────────────────────────────────────────
+export default function Loading({ text }) {
+  return (
+    <div style={{ textAlign: "center", padding: "80px 0" }}>
+      <div style={{ fontSize: 40, animation: "spin 1.5s linear infinite", display: "inline-block", color: "var(--accent)" }}>✦</div>
+      <p style={{ marginTop: 16, fontFamily: "Space Mono,monospace", fontSize: 13, color: "var(--text-dim)" }}>{text}</p>
+    </div>
+  );
+}
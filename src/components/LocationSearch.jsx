@@ -0,0 +1,110 @@
+// ── Location Search ───────────────────────────────────────────────────────────
+import { useState, useEffect, useRef } from "react";
+import { geocode, shortName } from "../lib/geocode";
+import { describeError } from "../lib/http";
+
+export default function LocationSearch({ onSelect }) {
+  const [query, setQuery]           = useState("");
+  const [results, setResults]       = useState([]);
+  const [searching, setSearching]   = useState(false);
+  const [open, setOpen]             = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const debounceRef = useRef(null);
+  const wrapRef     = useRef(null);
+
+  useEffect(() => {
+    const handler = (e) => { if (wrapRef.current && !wrapRef.current.contains(e.target)) setOpen(false); };
+    document.addEventListener("mousedown", handler);
+    return () => document.removeEventListener("mousedown", handler);
+  }, []);
+
+  const handleChange = (e) => {
+    const val = e.target.value;
+    setQuery(val);
+    setSearchError(null);
+    clearTimeout(debounceRef.current);
+    if (val.trim().length < 2) { setResults([]); setOpen(false); return; }
+    debounceRef.current = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const data = await geocode(val);
+        setResults(data);
+        setOpen(true);
+      } catch (err) { setSearchError(`Location lookup failed: ${describeError(err)}`); }
+      finally   { setSearching(false); }
+    }, 400);
+  };
+
+  const handleSelect = (r) => {
+    const name = shortName(r);
+    setQuery(name);
+    setOpen(false);
+    setResults([]);
+    onSelect({ name, lat: parseFloat(r.lat), lon: parseFloat(r.lon) });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+    setSearching(true);
+    setSearchError(null);
+    try {
+      const data = await geocode(query);
+      if (!data.length) { setSearchError("No location found"); return; }
+      handleSelect(data[0]);
+    } catch (err) { setSearchError(`Location lookup failed: ${describeError(err)}`); }
+    finally   { setSearching(false); }
+  };
+
+  return (
+    <div ref={wrapRef} style={{ position: "relative", width: "100%" }}>
+      <form onSubmit={handleSubmit} style={{ display: "flex", gap: 6 }}>
+        <div style={{ position: "relative", flex: 1 }}>
+          <span style={{ position: "absolute", left: 10, top: "50%", transform: "translateY(-50%)", color: "var(--text-dim)", fontSize: 14, pointerEvents: "none" }}>⌕</span>
+          <input
+            type="text"
+            value={query}
+            onChange={handleChange}
+            onFocus={() => results.length && setOpen(true)}
+            placeholder="Search any location…"
+            style={{
+              width: "100%", background: "var(--glass-strong)",
+              border: "1px solid var(--line)", borderRadius: 8,
+              color: "var(--text)", padding: "9px 32px 9px 28px",
+              fontSize: 14, fontFamily: "Outfit,sans-serif", outline: "none",
+            }}
+            autoComplete="off"
+          />
+          {searching && (
+            <span style={{ position: "absolute", right: 10, top: "50%", transform: "translateY(-50%)", color: "var(--accent)", fontSize: 12, animation: "spin 1s linear infinite", display: "inline-block" }}>✦</span>
+          )}
+        </div>
+        <button type="submit" style={{
+          background: "var(--accent-bg)", border: "1px solid var(--accent-border)",
+          borderRadius: 8, color: "var(--accent)", padding: "9px 16px",
+          cursor: "pointer", fontFamily: "Space Mono,monospace", fontSize: 13,
+          fontWeight: 700, whiteSpace: "nowrap",
+        }} disabled={searching}>Go</button>
+      </form>
+      {searchError && <p style={{ color: "var(--danger)", fontSize: 11, marginTop: 4, fontFamily: "Space Mono" }}>{searchError}</p>}
+      {open && results.length > 0 && (
+        <div style={{
+          position: "absolute", top: "calc(100% + 6px)", left: 0, right: 0,
+          background: "var(--surface)", border: "1px solid var(--line)",
+          borderRadius: 10, zIndex: 200, overflow: "hidden",
+          boxShadow: "0 8px 32px var(--shadow)",
+        }}>
+          {results.map((r, i) => {
+            const parts = r.display_name.split(",");
+            return (
+              <div key={i} onClick={() => handleSelect(r)} className="dropdown-item" style={{ padding: "11px 14px", cursor: "pointer", borderBottom: "1px solid var(--line-faint)" }}>
+                <span style={{ color: "var(--text)", fontSize: 13 }}>{parts[0]}</span>
+                <span style={{ color: "var(--text-dim)", fontSize: 11, marginLeft: 6 }}>{parts.slice(1, 3).join(",")}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
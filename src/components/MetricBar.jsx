@@ -0,0 +1,14 @@
+// ── Metric Bar ────────────────────────────────────────────────────────────────
+export default function MetricBar({ label, value, pct, color }) {
+  return (
+    <div>
+      <p style={{ fontSize: 10, color: "var(--text-dim)", textTransform: "uppercase", letterSpacing: 1 }}>{label}</p>
+      <p style={{ fontFamily: "Space Mono,monospace", color, fontSize: 15, margin: "3px 0" }}>{value}</p>
+      {pct != null && (
+        <div style={{ width: "100%", height: 3, background: "var(--glass-strong)", borderRadius: 2, overflow: "hidden" }}>
+          <div style={{ width: pct + "%", height: "100%", background: color, borderRadius: 2, transition: "width 0.4s ease" }} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+// ── Moon ──────────────────────────────────────────────────────────────────────
+import { getMoonTimes, getMoonIllumination, getMoonPosition } from "../lib/ephemeris";
+import { MOON_LIMITS } from "../lib/dark-window";
+import { startOfDay } from "../lib/timezone";
+import { moonPhaseLabel } from "../lib/format";
+import Clock from "./Clock";
+
+export default function MoonCard({ city, zones, moonLimit, onMoonLimit }) {
+  const now       = new Date();
+  const moon      = getMoonIllumination(now);
+  const moonInfo  = moonPhaseLabel(moon.phase);
+  const moonTimes = getMoonTimes(startOfDay(now, zones.site), city.lat, city.lon);
+  const moonAlt   = getMoonPosition(now, city.lat, city.lon).altitude;
+  return (
+    <div className="card moon-card">
+      <p className="card-label">Moon</p>
+      <div style={{ textAlign: "center", marginTop: 12 }}>
+        <span className="emoji" style={{ fontSize: 50 }}>{moonInfo.icon}</span>
+        <p style={{ fontFamily: "Space Mono,monospace", color: "var(--text)", fontSize: 13, marginTop: 8 }}>{moonInfo.label}</p>
+        <p style={{ color: "var(--text-dim)", fontSize: 12, marginTop: 4 }}>{Math.round(moon.fraction * 100)}% illuminated</p>
+      </div>
+      <div style={{ marginTop: 12, display: "flex", flexDirection: "column", gap: 8 }}>
+        {[
+          { l: "Moonrise", v: moonTimes.alwaysUp ? "Up all day" : moonTimes.alwaysDown ? "Down all day" : <Clock date={moonTimes.rise} zones={zones} /> },
+          { l: "Transit",  v: <Clock date={moonTimes.transit} zones={zones} /> },
+          { l: "Moonset",  v: moonTimes.alwaysUp || moonTimes.alwaysDown ? "--" : <Clock date={moonTimes.set} zones={zones} /> },
+          { l: "Altitude", v: `${moonAlt.toFixed(1)}°` },
+        ].map(({ l, v }) => (
+          <div key={l} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+            <span style={{ color: "var(--text-dim)", fontSize: 12 }}>{l}</span>
+            <span style={{ fontFamily: "Space Mono,monospace", color: "var(--text)", fontSize: 12, whiteSpace: "nowrap" }}>{v}</span>
+          </div>
+        ))}
+      </div>
+      <label style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, marginTop: 12, color: "var(--text-dim)", fontSize: 11 }}>
+        Ignore Moon below
+        <select value={moonLimit} onChange={(e) => onMoonLimit(Number(e.target.value))} className="mini-select">
+          {MOON_LIMITS.map((v) => <option key={v} value={v}>{v ? `${v * 100}%` : "never"}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+// ── 7-Night Forecast ──────────────────────────────────────────────────────────
+import { scoreLabel } from "../lib/scoring";
+import { describeError } from "../lib/http";
+import { formatWeekday, formatDate } from "../lib/timezone";
+import { fmt, formatHours, SOURCE_LABELS } from "../lib/format";
+import { worstWarnings } from "../lib/weather";
+import NightTimeline from "./NightTimeline";
+import Warnings from "./Warnings";
+import ExportButtons from "./ExportButtons";
+
+export default function NightGrid({ nightly, scored, city, style, nightIndex, onSelectNight, zones, units, equipment, error, pending, onRetry }) {
+  return (
+    <div className="card">
+      <div className="card-head">
+        <p className="card-label">7-Night Forecast</p>
+        <ExportButtons blocks={scored} nights={nightly} site={city} zones={zones} units={units} style={style} label="7day" />
+      </div>
+      <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 0", fontFamily: "Space Mono,monospace" }}>
+        Sunset → sunrise · score averaged over astronomical darkness
+      </p>
+      {error && (
+        <div style={{ display: "flex", alignItems: "center", gap: 10, marginTop: 8, fontSize: 11, fontFamily: "Space Mono,monospace", color: "var(--danger)" }}>
+          ⚠ Extended forecast unavailable: {describeError(error)}
+          <button className="chip" onClick={onRetry} disabled={pending}>
+            {pending ? "Retrying…" : "↻ Retry"}
+          </button>
+        </div>
+      )}
+      <div className="day-grid">
+        {nightly.map((night, i) => {
+          const cond  = night.score != null ? scoreLabel(night.score) : null;
+          return (
+            <div key={night.date.valueOf()} className={`day-card ${i === nightIndex ? "day-card-selected" : ""}`}
+              onClick={() => onSelectNight(i)} title="Hour-by-hour detail">
+              <p style={{ fontFamily: "Space Mono,monospace", fontSize: 12, color: "var(--text-muted)" }}>{formatWeekday(night.date, zones.site, zones)} night</p>
+              <p style={{ fontSize: 11, color: "var(--text-faint)", marginTop: 2 }}>{formatDate(night.date, zones.site, zones)}</p>
+              {cond ? (
+                <>
+                  <div style={{ fontSize: 28, margin: "10px 0", lineHeight: 1 }}>{cond.icon}</div>
+                  <p style={{ fontSize: 11, color: cond.color, fontFamily: "Space Mono,monospace" }}>{cond.label} · {night.score}</p>
+                  {night.low != null && (
+                    <div style={{ marginTop: 10 }}>
+                      <span style={{ color: "var(--warm)", fontFamily: "Space Mono,monospace", fontSize: 13 }}>{fmt(night.high, units.temp)}</span>
+                      <span style={{ color: "var(--text-ghost)", margin: "0 4px" }}>/</span>
+                      <span style={{ color: "var(--text-dim)", fontFamily: "Space Mono,monospace", fontSize: 13 }}>{fmt(night.low, units.temp)}</span>
+                    </div>
+                  )}
+                  <p style={{ color: "var(--text-faint)", fontSize: 11, marginTop: 6 }}>
+                    ☁ <span style={{ fontFamily: "Space Mono,monospace" }}>{night.cloudcover != null ? `${Math.round(night.cloudcover)}%` : "–"}</span>
+                  </p>
+                </>
+              ) : (
+                <p style={{ fontSize: 11, color: "var(--text-faint)", margin: "18px 0", fontFamily: "Space Mono,monospace" }}>No forecast</p>
+              )}
+              <div style={{ marginTop: 8 }}>
+                <NightTimeline night={night} zones={zones} height={6} showLabels={false} />
+                <p style={{ color: "var(--dark)", fontSize: 10, marginTop: 4, fontFamily: "Space Mono,monospace" }}>☾ {formatHours(night.darkHours)} dark</p>
+              </div>
+              <Warnings warnings={worstWarnings(night.blocks, equipment.thresholds)} units={units} compact />
+              {night.source && <p className={`source-badge source-${night.source}`}>{SOURCE_LABELS[night.source]}</p>}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+// ── Night Timeline ────────────────────────────────────────────────────────────
+// Sunset → sunrise bar: twilight shading, Moon-up strip above, dark windows below.
+import Clock from "./Clock";
+
+export default function NightTimeline({ night, zones, height = 10, showLabels = true }) {
+  const { start, end } = night.span;
+  const pos = (t) => Math.min(100, Math.max(0, ((t - start) / (end - start)) * 100));
+  const band = (a, b, style, key) => a && b && (
+    <div key={key} style={{ position: "absolute", left: pos(a) + "%", width: pos(b) - pos(a) + "%", ...style }} />
+  );
+  return (
+    <div>
+      <div style={{ position: "relative", height: height + 8 }}>
+        {night.moonUp.map((m, i) => band(m.start, m.end, { top: 0, height: 3, background: "var(--moon-up)", borderRadius: 2 }, "m" + i))}
+        <div style={{ position: "absolute", top: 4, left: 0, right: 0, height, background: "var(--sky-day)", borderRadius: 3, overflow: "hidden" }}>
+          {band(night.sunset,           night.sunrise,          { top: 0, bottom: 0, background: "var(--sky-sunset)" })}
+          {band(night.civilDusk,        night.civilDawn,        { top: 0, bottom: 0, background: "var(--sky-civil)" })}
+          {band(night.nauticalDusk,     night.nauticalDawn,     { top: 0, bottom: 0, background: "var(--sky-nautical)" })}
+          {band(night.astronomicalDusk, night.astronomicalDawn, { top: 0, bottom: 0, background: "var(--sky-astro)" })}
+        </div>
+        {night.dark.map((d, i) => band(d.start, d.end, { top: height + 5, height: 3, background: "var(--dark)", borderRadius: 2 }, "d" + i))}
+      </div>
+      {showLabels && (
+        <div style={{ display: "flex", justifyContent: "space-between", marginTop: 4, fontFamily: "Space Mono,monospace", fontSize: 9, color: "var(--text-faint)" }}>
+          <span><Clock date={night.sunset} zones={zones} /></span>
+          <span><Clock date={night.sunrise} zones={zones} /></span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+// ── Planets ───────────────────────────────────────────────────────────────────
+import { scoreLabel } from "../lib/scoring";
+import { PLANET_MIN_ALTITUDE } from "../lib/planets";
+import { formatDay, formatTime } from "../lib/timezone";
+import { fmtSeeing } from "../lib/format";
+import Clock from "./Clock";
+
+const formatElongation = (e) => `${Math.abs(e).toFixed(0)}° ${e >= 0 ? "E" : "W"}`;
+
+export default function PlanetsCard({ outlook, zones, units, hasSeeing }) {
+  const top = outlook.filter((p) => p.best).sort((a, b) => b.best.slotScore - a.best.slotScore)[0];
+  const slotText = (b) => `${formatDay(b.time, zones.site, zones)} ${formatTime(b.time, zones.site, zones)} · ${Math.round(b.altitude)}°`
+    + (b.seeing != null ? ` · seeing ${fmtSeeing(b, units.seeing)}` : "");
+  return (
+    <div className="card" style={{ marginTop: 20 }}>
+      <p className="card-label">Planets</p>
+      <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 12px", fontFamily: "Space Mono,monospace" }}>
+        Best 3-hour slot in the next 72 h · planetary score (seeing, stability, cloud, wind) weighted by altitude above {PLANET_MIN_ALTITUDE}°
+      </p>
+      <p style={{ fontFamily: "Space Mono,monospace", fontSize: 12, marginBottom: 12, color: top ? scoreLabel(top.best.slotScore).color : "var(--text-dim)" }}>
+        {top ? `Best slot: ${top.label}, ${slotText(top.best)} · score ${top.best.slotScore}` : "No planet is well placed in a dark sky in the next 72 h"}
+      </p>
+      {!hasSeeing && (
+        <p style={{ color: "var(--caution)", fontSize: 11, marginBottom: 8, fontFamily: "Space Mono,monospace" }}>
+          ⚠ This forecast has no seeing data — slots are ranked on cloud, wind and altitude only
+        </p>
+      )}
+      <div style={{ overflowX: "auto" }}>
+        <table className="compare-table planner-table">
+          <thead>
+            <tr>
+              <th>Planet</th><th>Mag</th><th>Size</th><th>Elong.</th>
+              <th>Rise</th><th>Transit</th><th>Set</th><th>Best slot</th><th>Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {outlook.map((p) => (
+              <tr key={p.name}>
+                <td className="compare-site">{p.label}</td>
+                <td>{p.position.magnitude.toFixed(1)}</td>
+                <td>{p.position.diameter.toFixed(1)}″</td>
+                <td>{formatElongation(p.position.elongation)}</td>
+                <td>{p.times.alwaysUp ? "up" : p.times.alwaysDown ? "down" : <Clock date={p.times.rise} zones={zones} />}</td>
+                <td><Clock date={p.times.transit} zones={zones} /></td>
+                <td>{p.times.alwaysUp || p.times.alwaysDown ? "--" : <Clock date={p.times.set} zones={zones} />}</td>
+                <td>{p.best ? slotText(p.best) : "–"}</td>
+                <td>{p.best ? <strong style={{ color: scoreLabel(p.best.slotScore).color }}>{p.best.slotScore}</strong> : "–"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
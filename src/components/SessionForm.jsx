@@ -0,0 +1,35 @@
+// ── Session Form ──────────────────────────────────────────────────────────────
+// Record what the sky actually did during a logged session.
+import { useState } from "react";
+import { sessionActual } from "../lib/sessions";
+
+export default function SessionForm({ session, onSave, onCancel }) {
+  const { actual } = session;
+  const [form, setForm] = useState({
+    cloudcover: actual.cloudcover ?? "", seeing: actual.seeing ?? "", sqm: actual.sqm ?? "",
+    targets: actual.targets.join(", "), notes: actual.notes,
+  });
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ ...session, actual: sessionActual(form) });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card site-form">
+      <p className="setting-hint" style={{ gridColumn: "1 / -1" }}>
+        <strong>{session.site.name}</strong>, night of {session.night}. Leave a field blank if you did not measure it.
+      </p>
+      <label>Cloud cover (%)<input type="number" min={0} max={100} value={form.cloudcover} onChange={set("cloudcover")} /></label>
+      <label>Seeing FWHM (″)<input type="number" min={0} step={0.1} value={form.seeing} onChange={set("seeing")} /></label>
+      <label>SQM (mag/″²)<input type="number" min={14} max={23} step={0.01} value={form.sqm} onChange={set("sqm")} /></label>
+      <label>Targets imaged<input value={form.targets} onChange={set("targets")} placeholder="M31, NGC 7000" /></label>
+      <label className="site-notes">Notes<textarea value={form.notes} onChange={set("notes")} rows={2} /></label>
+      <div className="site-form-actions">
+        <button type="button" className="chip" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="chip chip-active">Save session</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,96 @@
+// ── Site Comparison ───────────────────────────────────────────────────────────
+// Loads every saved site in parallel and ranks them night by night. A site
+// whose astro product failed is ranked on its civil (cloud-only) blocks.
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { getNights } from "../lib/dark-window";
+import { scoreBlocks, scoreLabel, summarizeNight, IMAGING_STYLES } from "../lib/scoring";
+import { mergeBlocks } from "../lib/blocks";
+import { fetchSiteForecast } from "../lib/forecast";
+import { siteSky } from "../lib/light-pollution";
+import { describeError } from "../lib/http";
+import { siteTimeZone, formatDay } from "../lib/timezone";
+import { formatHours, skyLabel } from "../lib/format";
+
+export default function SiteComparison({ sites, style, moonLimit, zones, onSelect }) {
+  const [forecasts, setForecasts] = useState({});
+
+  const loadAll = useCallback(async () => {
+    await Promise.all(sites.map(async (site) => {
+      let result;
+      try {
+        result = await fetchSiteForecast(site.lat, site.lon);
+      } catch (err) {
+        result = { error: describeError(err) };
+      }
+      setForecasts((f) => ({ ...f, [site.id]: result }));
+    }));
+  }, [sites]);
+
+  useEffect(() => { loadAll(); }, [loadAll]);
+
+  const rows = useMemo(() => sites.map((site) => {
+    const data = forecasts[site.id];
+    const sky  = siteSky(site);
+    if (!data?.astro && !data?.civil) return { site, sky, data, nights: [] };
+    const scored = scoreBlocks(mergeBlocks(data.astro, data.civil), site.lat, site.lon, style, { bortle: sky.bortle });
+    const nights = getNights(new Date(), site.lat, site.lon, 7, { moonLimit }).map((n) => summarizeNight(n, scored));
+    return { site, sky, data, nights };
+  }), [sites, forecasts, style, moonLimit]);
+
+  const labelZone = siteTimeZone(sites[0].lat, sites[0].lon);
+  const columns   = rows.find((r) => r.nights.length)?.nights ?? [];
+  const rankOf = (i, row) => {
+    const score = row.nights[i]?.score;
+    if (score == null) return null;
+    return 1 + rows.filter((r) => (r.nights[i]?.score ?? -1) > score).length;
+  };
+
+  return (
+    <div className="card" style={{ animation: "fadeUp 0.5s ease" }}>
+      <p className="card-label">Site Comparison · {IMAGING_STYLES[style].label}</p>
+      <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 14px", fontFamily: "Space Mono,monospace" }}>
+        Night score (0–100) · rank among saved sites · moonless dark hours
+      </p>
+      <div style={{ overflowX: "auto" }}>
+        <table className="compare-table">
+          <thead>
+            <tr>
+              <th>Site</th>
+              {columns.map((n, i) => <th key={i}>{i === 0 ? "Tonight" : formatDay(n.date, labelZone, zones)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.site.id}>
+                <td className="compare-site" onClick={() => onSelect(row.site)}>
+                  {row.site.name}
+                  <span>
+                    {[skyLabel(row.sky), row.site.elevation != null && `${row.site.elevation} m`, row.data?.civil && !row.data.astro && "cloud only"]
+                      .filter(Boolean).join(" · ")}
+                  </span>
+                </td>
+                {!row.data && <td colSpan={columns.length || 1} className="compare-status">Loading…</td>}
+                {row.data?.error && <td colSpan={columns.length || 1} className="compare-status" style={{ color: "var(--danger)" }}>⚠ {row.data.error}</td>}
+                {row.nights.map((n, i) => {
+                  const rank = rankOf(i, row);
+                  const cond = n.score != null ? scoreLabel(n.score) : null;
+                  return (
+                    <td key={i} className={rank === 1 ? "rank-1" : undefined}>
+                      {cond ? (
+                        <>
+                          <strong style={{ color: cond.color }}>{n.score}</strong>
+                          <span className="compare-rank">#{rank}</span>
+                        </>
+                      ) : "–"}
+                      <span className="compare-dark">☾ {formatHours(n.darkHours)}</span>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+// ── Site Form ─────────────────────────────────────────────────────────────────
+import { useState } from "react";
+import { createSite } from "../lib/sites";
+import { estimateSqm, bortleFromSqm } from "../lib/light-pollution";
+
+export default function SiteForm({ initial, onSave, onCancel }) {
+  const [form, setForm] = useState({
+    name: initial.name ?? "", lat: initial.lat ?? "", lon: initial.lon ?? "",
+    elevation: initial.elevation ?? "", bortle: initial.bortle ?? "", notes: initial.notes ?? "",
+  });
+  const set = (k) => (e) => setForm((f) => ({ ...f, [k]: e.target.value }));
+  const lat = Number(form.lat), lon = Number(form.lon);
+  const located  = form.lat !== "" && form.lon !== "" && Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  const valid    = form.name.trim() && located;
+  const estimate = located ? bortleFromSqm(estimateSqm(lat, lon)) : null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!valid) return;
+    const site = createSite(form);
+    onSave(initial.id ? { ...site, id: initial.id } : site);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="card site-form">
+      <label>Name<input value={form.name} onChange={set("name")} required /></label>
+      <label>Latitude<input value={form.lat} onChange={set("lat")} inputMode="decimal" placeholder="−90 to 90" /></label>
+      <label>Longitude<input value={form.lon} onChange={set("lon")} inputMode="decimal" placeholder="−180 to 180" /></label>
+      <label>Elevation (m)<input value={form.elevation} onChange={set("elevation")} inputMode="numeric" /></label>
+      <label>Bortle
+        <select value={form.bortle} onChange={set("bortle")}>
+          <option value="">{estimate ? `Estimate (${estimate})` : "Estimate"}</option>
+          {[1, 2, 3, 4, 5, 6, 7, 8, 9].map((b) => <option key={b} value={b}>{b}</option>)}
+        </select>
+      </label>
+      <label className="site-notes">Notes<textarea value={form.notes} onChange={set("notes")} rows={2} /></label>
+      <div className="site-form-actions">
+        <button type="button" className="chip" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="chip chip-active" disabled={!valid}>Save site</button>
+      </div>
+    </form>
+  );
+}
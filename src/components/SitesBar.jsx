@@ -0,0 +1,41 @@
+// ── Saved Sites ───────────────────────────────────────────────────────────────
+import { useState } from "react";
+import { sameLocation } from "../lib/sites";
+import SiteForm from "./SiteForm";
+import Link from "./Link";
+
+export default function SitesBar({ sites, city, onSelect, onSave, onRemove }) {
+  const [editing, setEditing] = useState(false);
+  const current = sites.find((s) => s.id === city?.id) ?? sites.find((s) => sameLocation(s, city));
+
+  return (
+    <div style={{ marginBottom: 18 }}>
+      <div className="sites-bar">
+        {city && (
+          <button className="chip" onClick={() => setEditing((v) => !v)}>
+            {current ? "✎ Edit site" : "☆ Save site"}
+          </button>
+        )}
+        {sites.map((s) => (
+          <span key={s.id} className={`chip ${current?.id === s.id ? "chip-active" : ""}`}>
+            <span onClick={() => onSelect(s)} style={{ cursor: "pointer" }} title={s.notes || undefined}>
+              {s.name}{s.bortle ? ` · B${s.bortle}` : ""}
+            </span>
+            <span onClick={() => onRemove(s.id)} className="chip-remove" title="Remove site">×</span>
+          </span>
+        ))}
+        {sites.length > 1 && (
+          <Link to="/sites" className="chip">⇆ Compare {sites.length} sites</Link>
+        )}
+      </div>
+      {editing && (
+        <SiteForm
+          key={current?.id ?? "new"}
+          initial={current ?? city}
+          onSave={(site) => { onSave(site); onSelect(site); setEditing(false); }}
+          onCancel={() => setEditing(false)}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+// ── Star Field ────────────────────────────────────────────────────────────────
+// Deterministic, so the sky does not reshuffle between renders.
+const stars = Array.from({ length: 80 }, (_, i) => ({
+  id: i,
+  w:     (Math.sin(i * 7.3) * 0.5 + 0.5) * 2 + 1,
+  top:   (Math.sin(i * 3.7) * 0.5 + 0.5) * 100,
+  left:  (Math.cos(i * 2.9) * 0.5 + 0.5) * 100,
+  opacity: (Math.sin(i * 5.1) * 0.5 + 0.5) * 0.7 + 0.2,
+  dur:   (Math.sin(i * 1.3) * 0.5 + 0.5) * 3 + 2,
+  delay: (Math.cos(i * 2.1) * 0.5 + 0.5) * 3,
+}));
+
+export default function StarField() {
+  return (
+    <div style={{ position: "fixed", inset: 0, pointerEvents: "none", zIndex: 0 }} aria-hidden>
+      {stars.map((s) => (
+        <div key={s.id} style={{
+          position: "absolute", width: s.w + "px", height: s.w + "px",
+          background: "var(--star)", borderRadius: "50%",
+          top: s.top + "%", left: s.left + "%", opacity: s.opacity,
+          animation: `twinkle ${s.dur}s ease-in-out ${s.delay}s infinite alternate`,
+        }} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,126 @@
+// ── Target Planner ────────────────────────────────────────────────────────────
+// Altitude across the night (0–90°), with the dark window shaded and the
+// minimum altitude dashed. The Sky column is how well a target's surface
+// brightness holds up against the site's light pollution.
+import { useState, useMemo } from "react";
+import { scoreLabel } from "../lib/scoring";
+import { CATALOG, TARGET_TYPES, targetLabel } from "../lib/catalog";
+import { planNight, MIN_ALTITUDES } from "../lib/targets";
+import { formatDay } from "../lib/timezone";
+import { formatHours } from "../lib/format";
+import Clock from "./Clock";
+
+function AltitudeSparkline({ plan, night, minAltitude, width = 120, height = 28 }) {
+  const { start, end } = night.span;
+  const x = (t) => ((t - start) / (end - start)) * width;
+  const y = (alt) => height - (Math.max(0, alt) / 90) * height;
+  return (
+    <svg width={width} height={height} style={{ display: "block" }} aria-hidden>
+      {night.dark.map((d, i) => (
+        <rect key={i} x={x(d.start)} width={x(d.end) - x(d.start)} y={0} height={height} fill="var(--dark)" opacity={0.08} />
+      ))}
+      <line x1={0} x2={width} y1={y(minAltitude)} y2={y(minAltitude)} stroke="var(--line-strong)" strokeDasharray="2 2" />
+      <polyline
+        points={plan.curve.map((p) => `${x(p.time).toFixed(1)},${y(p.altitude).toFixed(1)}`).join(" ")}
+        fill="none" stroke="var(--accent)" strokeWidth={1.5}
+      />
+    </svg>
+  );
+}
+
+const PLANNER_LIMIT = 25;
+
+export default function TargetPlanner({ city, sky, nights, nightIndex, onSelectNight, zones, minAltitude, onMinAltitude, pinned, onTogglePin }) {
+  const [query, setQuery]             = useState("");
+  const [types, setTypes]             = useState(() => new Set(Object.keys(TARGET_TYPES)));
+  const [showAll, setShowAll]         = useState(false);
+
+  const night = nights[Math.min(nightIndex, nights.length - 1)];
+  const plan  = useMemo(
+    () => night ? planNight(night, city.lat, city.lon, { minAltitude, sqm: sky?.sqm }) : [],
+    [night, city, minAltitude, sky],
+  );
+
+  const q = query.trim().toLowerCase();
+  const compact = (v) => v.toLowerCase().replace(/\s+/g, "");
+  const matches = plan.filter(({ target }) => types.has(target.type)
+    && (!q || compact(target.id).includes(compact(q)) || target.name.toLowerCase().includes(q)));
+  const shown = showAll || q ? matches : matches.slice(0, PLANNER_LIMIT);
+  const toggleType = (t) => setTypes((prev) => {
+    const next = new Set(prev);
+    if (next.has(t)) next.delete(t); else next.add(t);
+    return next;
+  });
+
+  if (!night) return null;
+  return (
+    <div className="card">
+      <p className="card-label">Target Planner</p>
+      <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 12px", fontFamily: "Space Mono,monospace" }}>
+        {CATALOG.length} Messier &amp; bright NGC/IC objects · hours above {minAltitude}° in the dark window
+        {sky && ` · Bortle ${sky.bortle} sky`} · best first
+      </p>
+      <div className="planner-controls">
+        <select value={nightIndex} onChange={(e) => onSelectNight(Number(e.target.value))} className="mini-select">
+          {nights.map((n, i) => <option key={i} value={i}>{i === 0 ? "Tonight" : `${formatDay(n.date, zones.site, zones)} night`}</option>)}
+        </select>
+        <label>
+          Min altitude
+          <select value={minAltitude} onChange={(e) => onMinAltitude(Number(e.target.value))} className="mini-select">
+            {MIN_ALTITUDES.map((v) => <option key={v} value={v}>{v}°</option>)}
+          </select>
+        </label>
+        <input className="planner-search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search M31, Orion…" />
+      </div>
+      <div className="sites-bar" style={{ margin: "10px 0 12px" }}>
+        {Object.entries(TARGET_TYPES).map(([t, label]) => (
+          <button key={t} className={`chip ${types.has(t) ? "chip-active" : ""}`} onClick={() => toggleType(t)}>{label}</button>
+        ))}
+      </div>
+      {!night.dark.length && (
+        <p style={{ color: "var(--caution)", fontSize: 11, marginBottom: 8, fontFamily: "Space Mono,monospace" }}>
+          ⚠ The Moon is up all night — hours are counted over astronomical darkness
+        </p>
+      )}
+      <div style={{ overflowX: "auto" }}>
+        <table className="compare-table planner-table">
+          <thead>
+            <tr>
+              <th title="Show on the altitude chart">Chart</th><th>Target</th><th>Type</th><th>Mag</th><th>Size</th><th>Transit</th>
+              <th>Peak</th><th>Hours</th><th>Moon</th><th title="Contrast left against the site's sky glow">Sky</th><th>Altitude</th><th>Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((p) => (
+              <tr key={p.target.id} style={{ opacity: p.hours ? 1 : 0.45 }}>
+                <td>
+                  <button className={`chip ${pinned.includes(p.target.id) ? "chip-active" : ""}`} onClick={() => onTogglePin(p.target.id)}
+                    title={pinned.includes(p.target.id) ? "Remove from altitude chart" : "Add to altitude chart"}>
+                    {pinned.includes(p.target.id) ? "✓" : "+"}
+                  </button>
+                </td>
+                <td className="compare-site">{targetLabel(p.target)}</td>
+                <td>{TARGET_TYPES[p.target.type]}</td>
+                <td>{p.target.mag.toFixed(1)}</td>
+                <td>{p.target.size}′</td>
+                <td><Clock date={p.transit} zones={zones} /></td>
+                <td>{Math.round(p.peak)}°</td>
+                <td>{formatHours(p.hours)}</td>
+                <td>{Math.round(p.moonSeparation)}°</td>
+                <td>{Math.round(p.skyQuality * 100)}%</td>
+                <td><AltitudeSparkline plan={p} night={night} minAltitude={minAltitude} /></td>
+                <td><strong style={{ color: scoreLabel(p.suitability).color }}>{p.suitability}</strong></td>
+              </tr>
+            ))}
+            {!shown.length && <tr><td colSpan={12} className="compare-status">No targets match</td></tr>}
+          </tbody>
+        </table>
+      </div>
+      {!q && matches.length > PLANNER_LIMIT && (
+        <button className="chip" style={{ marginTop: 12 }} onClick={() => setShowAll((v) => !v)}>
+          {showAll ? `Show top ${PLANNER_LIMIT}` : `Show all ${matches.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+// ── Twilight ──────────────────────────────────────────────────────────────────
+import { getSunTimes } from "../lib/ephemeris";
+import { formatHours } from "../lib/format";
+import Clock from "./Clock";
+import NightTimeline from "./NightTimeline";
+
+export default function TwilightCard({ city, tonight, zones }) {
+  const sunTimes = getSunTimes(new Date(), city.lat, city.lon);
+  return (
+    <div className="card twilight-card">
+      <p className="card-label">Twilight Times</p>
+      <div style={{ marginTop: 12, display: "flex", flexDirection: "column", gap: 8 }}>
+        {[
+          { l: "Astro. Dawn", v: sunTimes.astronomicalDawn, c: "var(--dawn-astro)" },
+          { l: "Naut. Dawn",  v: sunTimes.nauticalDawn,     c: "var(--dawn-nautical)" },
+          { l: "Civil Dawn",  v: sunTimes.civilDawn,        c: "var(--dawn-civil)" },
+          { l: "Sunrise",     v: sunTimes.sunrise,          c: "var(--sunrise)" },
+          { l: "Sunset",      v: sunTimes.sunset,           c: "var(--sunset)" },
+          { l: "Civil Dusk",  v: sunTimes.civilDusk,        c: "var(--dusk-civil)" },
+          { l: "Naut. Dusk",  v: sunTimes.nauticalDusk,     c: "var(--dusk-nautical)" },
+          { l: "Astro. Dusk", v: sunTimes.astronomicalDusk, c: "var(--dusk-astro)" },
+        ].map(({ l, v, c }) => (
+          <div key={l} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+            <span style={{ color: "var(--text-dim)", fontSize: 13 }}>{l}</span>
+            <span style={{ fontFamily: "Space Mono,monospace", color: c, fontSize: 13, whiteSpace: "nowrap" }}><Clock date={v} zones={zones} /></span>
+          </div>
+        ))}
+      </div>
+      {tonight && (
+        <div style={{ marginTop: 14 }}>
+          <p className="card-label">Dark Window Tonight</p>
+          <NightTimeline night={tonight} zones={zones} />
+          <p style={{ fontFamily: "Space Mono,monospace", color: "var(--dark)", fontSize: 12, marginTop: 6 }}>{formatHours(tonight.darkHours)}</p>
+          {tonight.dark.map((d) => (
+            <p key={d.start.valueOf()} style={{ fontFamily: "Space Mono,monospace", color: "var(--text-muted)", fontSize: 11, marginTop: 2 }}>
+              <Clock date={d.start} zones={zones} /> – <Clock date={d.end} zones={zones} />
+            </p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+// ── Equipment Warnings ────────────────────────────────────────────────────────
+// Chips for weather.js warnings; `compact` shows icons only (details on hover).
+import { PRECIP_LABELS } from "../lib/weather";
+import { fmt, fmtDelta, fmtWind } from "../lib/format";
+import Clock from "./Clock";
+
+const ICONS = { dew: "💧", wind: "💨", freezing: "❄", precip: "🌧" };
+
+function describe({ kind, level, value }, units) {
+  switch (kind) {
+    case "dew":      return { label: `Dew risk ${level}`, detail: `spread ${fmtDelta(value, units.temp)}` };
+    case "wind":     return { label: "High wind", detail: fmtWind(value, units.wind) };
+    case "freezing": return { label: "Freezing", detail: `${fmt(value, units.temp)} · keep batteries warm` };
+    default:         return { label: PRECIP_LABELS[value] ?? value, detail: "precipitation" };
+  }
+}
+
+export default function Warnings({ warnings, units, zones, compact = false }) {
+  if (!warnings.length) return null;
+  return (
+    <div className="warnings">
+      {warnings.map((w) => {
+        const { label, detail } = describe(w, units);
+        const color = w.level === "high" ? "var(--danger)" : "var(--warning)";
+        return compact ? (
+          <span key={w.kind} className="emoji" style={{ color }} title={`${label} · ${detail}`}>{ICONS[w.kind]}</span>
+        ) : (
+          <span key={w.kind} className="warning-chip" style={{ color }}>
+            <span className="emoji">{ICONS[w.kind]}</span> {label} · {detail}
+            {w.time && zones && <> · from <Clock date={w.time} zones={zones} /></>}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+// ── Clear-sky alerts ─────────────────────────────────────────────────────────
+// Subscribes a saved site to push notifications from the server's alert job
+// (api/_lib/alerts.js): "tell me when tonight scores at least `minScore` for
+// `minHours` of darkness". The browser's push subscription is shared by every
+// site; which sites have alerts, and their ids on the server, are kept in
+// localStorage.
+import { useState, useCallback } from "react";
+import { getJson, sendJson } from "./http";
+import { siteTimeZone } from "./timezone";
+
+const ALERTS_KEY = "astroskies.alerts";
+
+export const ALERT_SCORES = [50, 60, 70, 80, 90];
+export const ALERT_HOURS  = [1, 2, 3, 4, 6];
+export const DEFAULT_ALERT = { minScore: 60, minHours: 2 };
+
+export const pushSupported = () =>
+  typeof navigator !== "undefined" && "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+function loadAlerts() {
+  try {
+    return JSON.parse(localStorage.getItem(ALERTS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function saveAlerts(alerts) {
+  try { localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts)); } catch { /* keep it for this session */ }
+}
+
+// The service worker only registers in production builds (see main.jsx).
+async function registration() {
+  const reg = await navigator.serviceWorker.getRegistration();
+  if (!reg) throw new Error("Alerts need the installed app; reload once it has finished loading");
+  return reg;
+}
+
+const keyBytes = (b64url) => Uint8Array.from(atob(b64url.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+async function pushSubscription() {
+  if (await Notification.requestPermission() !== "granted") throw new Error("Notifications are blocked for this site");
+  const reg = await registration();
+  const existing = await reg.pushManager.getSubscription();
+  if (existing) return existing;
+  const { publicKey } = await getJson("/api/alerts");
+  return reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(publicKey) });
+}
+
+/**
+ * Alerts by saved-site id, `{ [siteId]: { id, minScore, minHours, style } }`,
+ * and async `{ subscribe(site, { minScore, minHours }, style), unsubscribe(site) }`.
+ * Both reject with a displayable message on failure.
+ */
+export function useAlerts() {
+  const [alerts, setAlerts] = useState(loadAlerts);
+
+  const update = useCallback((change) => setAlerts((prev) => {
+    const next = change(prev);
+    saveAlerts(next);
+    return next;
+  }), []);
+
+  const subscribe = useCallback(async (site, { minScore, minHours }, style) => {
+    const subscription = await pushSubscription();
+    const { id } = await sendJson("/api/alerts", "POST", {
+      subscription: subscription.toJSON(),
+      site: { name: site.name, lat: site.lat, lon: site.lon, bortle: site.bortle },
+      style, minScore, minHours, timeZone: siteTimeZone(site.lat, site.lon),
+    });
+    update((prev) => ({ ...prev, [site.id]: { id, minScore, minHours, style } }));
+  }, [update]);
+
+  const unsubscribe = useCallback(async (site) => {
+    const { [site.id]: alert, ...rest } = alerts;
+    if (alert) await sendJson(`/api/alerts?id=${encodeURIComponent(alert.id)}`, "DELETE");
+    update(() => rest);
+    if (!Object.keys(rest).length) {
+      const reg = await navigator.serviceWorker.getRegistration();
+      await (await reg?.pushManager.getSubscription())?.unsubscribe();
+    }
+  }, [alerts, update]);
+
+  return [alerts, { subscribe, unsubscribe }];
+}
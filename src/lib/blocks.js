@@ -0,0 +1,21 @@
+// ── Forecast blocks ──────────────────────────────────────────────────────────
+// `/api/forecast` returns a normalized product: `init` and block `time`s as ISO
+// strings, decoded fields in physical units (see `units`) and the provider's
+// original record under `raw`. These helpers turn blocks into timed objects
+// and stitch astro and civil together. No imports, so the API (e.g.
+// api/calendar.js) can share them.
+
+export function forecastBlocks(data, source) {
+  return data.blocks.map((b) => ({ ...b, source, time: new Date(b.time) }));
+}
+
+/**
+ * Astro blocks where the astro product covers them (first 72 h), civil blocks
+ * after. Civil-only blocks have no seeing/transparency.
+ */
+export function mergeBlocks(astro, civil) {
+  const a = astro?.blocks ? forecastBlocks(astro, "astro") : [];
+  const c = civil?.blocks ? forecastBlocks(civil, "civil") : [];
+  const lastAstro = a.length ? a[a.length - 1].time : -Infinity;
+  return [...a, ...c.filter((b) => b.time > lastAstro)];
+}
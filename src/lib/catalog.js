@@ -0,0 +1,179 @@
+// ── Deep-sky catalog ─────────────────────────────────────────────────────────
+// All 110 Messier objects plus bright NGC/IC showpieces, bundled so the planner
+// works offline. Positions are J2000 (RA hours, Dec degrees); size is the major
+// axis in arcminutes. Precession since J2000 (~0.4°) is below what the planner
+// resolves.
+
+export const TARGET_TYPES = {
+  galaxy:    "Galaxy",
+  nebula:    "Nebula",
+  planetary: "Planetary nebula",
+  snr:       "Supernova remnant",
+  globular:  "Globular cluster",
+  open:      "Open cluster",
+  other:     "Other",
+};
+
+// [id, name, type, RA h, RA m, Dec, mag, size′]
+const ROWS = [
+  ["M1",   "Crab Nebula",             "snr",        5, 34.5,  22.02,  8.4,   6],
+  ["M2",   "",                        "globular",  21, 33.5,  -0.82,  6.5,  16],
+  ["M3",   "",                        "globular",  13, 42.2,  28.38,  6.2,  18],
+  ["M4",   "",                        "globular",  16, 23.6, -26.53,  5.6,  36],
+  ["M5",   "",                        "globular",  15, 18.6,   2.08,  5.6,  23],
+  ["M6",   "Butterfly Cluster",       "open",      17, 40.1, -32.22,  4.2,  25],
+  ["M7",   "Ptolemy Cluster",         "open",      17, 53.9, -34.82,  3.3,  80],
+  ["M8",   "Lagoon Nebula",           "nebula",    18,  3.8, -24.38,  6.0,  90],
+  ["M9",   "",                        "globular",  17, 19.2, -18.52,  7.7,  12],
+  ["M10",  "",                        "globular",  16, 57.1,  -4.10,  6.6,  20],
+  ["M11",  "Wild Duck Cluster",       "open",      18, 51.1,  -6.27,  6.3,  14],
+  ["M12",  "",                        "globular",  16, 47.2,  -1.95,  6.7,  16],
+  ["M13",  "Hercules Cluster",        "globular",  16, 41.7,  36.47,  5.8,  20],
+  ["M14",  "",                        "globular",  17, 37.6,  -3.25,  7.6,  11],
+  ["M15",  "",                        "globular",  21, 30.0,  12.17,  6.2,  18],
+  ["M16",  "Eagle Nebula",            "nebula",    18, 18.8, -13.78,  6.4,  35],
+  ["M17",  "Omega Nebula",            "nebula",    18, 20.8, -16.18,  6.0,  20],
+  ["M18",  "",                        "open",      18, 19.9, -17.13,  7.5,   9],
+  ["M19",  "",                        "globular",  17,  2.6, -26.27,  6.8,  17],
+  ["M20",  "Trifid Nebula",           "nebula",    18,  2.6, -23.03,  6.3,  28],
+  ["M21",  "",                        "open",      18,  4.6, -22.50,  6.5,  13],
+  ["M22",  "",                        "globular",  18, 36.4, -23.90,  5.1,  32],
+  ["M23",  "",                        "open",      17, 56.8, -19.02,  6.9,  27],
+  ["M24",  "Sagittarius Star Cloud",  "other",     18, 16.9, -18.48,  4.6,  90],
+  ["M25",  "",                        "open",      18, 31.6, -19.25,  4.6,  32],
+  ["M26",  "",                        "open",      18, 45.2,  -9.40,  8.0,  15],
+  ["M27",  "Dumbbell Nebula",         "planetary", 19, 59.6,  22.72,  7.5,   8],
+  ["M28",  "",                        "globular",  18, 24.5, -24.87,  6.8,  11],
+  ["M29",  "",                        "open",      20, 23.9,  38.53,  7.1,   7],
+  ["M30",  "",                        "globular",  21, 40.4, -23.18,  7.2,  12],
+  ["M31",  "Andromeda Galaxy",        "galaxy",     0, 42.7,  41.27,  3.4, 178],
+  ["M32",  "",                        "galaxy",     0, 42.7,  40.87,  8.1,   8],
+  ["M33",  "Triangulum Galaxy",       "galaxy",     1, 33.9,  30.65,  5.7,  73],
+  ["M34",  "",                        "open",       2, 42.0,  42.78,  5.5,  35],
+  ["M35",  "",                        "open",       6,  8.9,  24.33,  5.3,  28],
+  ["M36",  "",                        "open",       5, 36.1,  34.13,  6.3,  12],
+  ["M37",  "",                        "open",       5, 52.4,  32.55,  6.2,  24],
+  ["M38",  "",                        "open",       5, 28.4,  35.83,  7.4,  21],
+  ["M39",  "",                        "open",      21, 32.2,  48.43,  4.6,  32],
+  ["M40",  "Winnecke 4",              "other",     12, 22.4,  58.08,  8.4,   1],
+  ["M41",  "",                        "open",       6, 46.0, -20.73,  4.5,  38],
+  ["M42",  "Orion Nebula",            "nebula",     5, 35.4,  -5.45,  4.0,  85],
+  ["M43",  "De Mairan's Nebula",      "nebula",     5, 35.6,  -5.27,  9.0,  20],
+  ["M44",  "Beehive Cluster",         "open",       8, 40.1,  19.98,  3.7,  95],
+  ["M45",  "Pleiades",                "open",       3, 47.0,  24.12,  1.6, 110],
+  ["M46",  "",                        "open",       7, 41.8, -14.82,  6.1,  27],
+  ["M47",  "",                        "open",       7, 36.6, -14.50,  4.2,  30],
+  ["M48",  "",                        "open",       8, 13.8,  -5.80,  5.5,  54],
+  ["M49",  "",                        "galaxy",    12, 29.8,   8.00,  8.4,  10],
+  ["M50",  "",                        "open",       7,  3.2,  -8.33,  5.9,  16],
+  ["M51",  "Whirlpool Galaxy",        "galaxy",    13, 29.9,  47.20,  8.4,  11],
+  ["M52",  "",                        "open",      23, 24.2,  61.58,  7.3,  13],
+  ["M53",  "",                        "globular",  13, 12.9,  18.17,  7.6,  13],
+  ["M54",  "",                        "globular",  18, 55.1, -30.48,  7.6,  12],
+  ["M55",  "",                        "globular",  19, 40.0, -30.97,  6.3,  19],
+  ["M56",  "",                        "globular",  19, 16.6,  30.18,  8.3,   9],
+  ["M57",  "Ring Nebula",             "planetary", 18, 53.6,  33.03,  8.8, 1.4],
+  ["M58",  "",                        "galaxy",    12, 37.7,  11.82,  9.7,   6],
+  ["M59",  "",                        "galaxy",    12, 42.0,  11.65,  9.6,   5],
+  ["M60",  "",                        "galaxy",    12, 43.7,  11.55,  8.8,   7],
+  ["M61",  "",                        "galaxy",    12, 21.9,   4.47,  9.7,   6],
+  ["M62",  "",                        "globular",  17,  1.2, -30.12,  6.5,  15],
+  ["M63",  "Sunflower Galaxy",        "galaxy",    13, 15.8,  42.03,  8.6,  13],
+  ["M64",  "Black Eye Galaxy",        "galaxy",    12, 56.7,  21.68,  8.5,  10],
+  ["M65",  "",                        "galaxy",    11, 18.9,  13.08,  9.3,   9],
+  ["M66",  "",                        "galaxy",    11, 20.2,  12.98,  8.9,   9],
+  ["M67",  "",                        "open",       8, 51.3,  11.82,  6.1,  30],
+  ["M68",  "",                        "globular",  12, 39.5, -26.75,  7.8,  11],
+  ["M69",  "",                        "globular",  18, 31.4, -32.35,  7.6,  10],
+  ["M70",  "",                        "globular",  18, 43.2, -32.30,  7.9,   8],
+  ["M71",  "",                        "globular",  19, 53.8,  18.78,  8.2,   7],
+  ["M72",  "",                        "globular",  20, 53.5, -12.53,  9.3,   7],
+  ["M73",  "",                        "other",     20, 59.0, -12.63,  9.0,   3],
+  ["M74",  "Phantom Galaxy",          "galaxy",     1, 36.7,  15.78,  9.4,  10],
+  ["M75",  "",                        "globular",  20,  6.1, -21.92,  8.5,   7],
+  ["M76",  "Little Dumbbell Nebula",  "planetary",  1, 42.4,  51.57, 10.1,   3],
+  ["M77",  "",                        "galaxy",     2, 42.7,  -0.02,  8.9,   7],
+  ["M78",  "",                        "nebula",     5, 46.7,   0.05,  8.3,   8],
+  ["M79",  "",                        "globular",   5, 24.5, -24.55,  7.7,  10],
+  ["M80",  "",                        "globular",  16, 17.0, -22.98,  7.3,  10],
+  ["M81",  "Bode's Galaxy",           "galaxy",     9, 55.6,  69.07,  6.9,  27],
+  ["M82",  "Cigar Galaxy",            "galaxy",     9, 55.8,  69.68,  8.4,  11],
+  ["M83",  "Southern Pinwheel Galaxy","galaxy",    13, 37.0, -29.87,  7.5,  13],
+  ["M84",  "",                        "galaxy",    12, 25.1,  12.88,  9.1,   7],
+  ["M85",  "",                        "galaxy",    12, 25.4,  18.18,  9.1,   7],
+  ["M86",  "",                        "galaxy",    12, 26.2,  12.95,  8.9,   9],
+  ["M87",  "Virgo A",                 "galaxy",    12, 30.8,  12.38,  8.6,   8],
+  ["M88",  "",                        "galaxy",    12, 32.0,  14.42,  9.6,   7],
+  ["M89",  "",                        "galaxy",    12, 35.7,  12.55,  9.8,   5],
+  ["M90",  "",                        "galaxy",    12, 36.8,  13.17,  9.5,  10],
+  ["M91",  "",                        "galaxy",    12, 35.4,  14.50, 10.2,   5],
+  ["M92",  "",                        "globular",  17, 17.1,  43.13,  6.4,  14],
+  ["M93",  "",                        "open",       7, 44.6, -23.87,  6.0,  22],
+  ["M94",  "Cat's Eye Galaxy",        "galaxy",    12, 50.9,  41.12,  8.2,  11],
+  ["M95",  "",                        "galaxy",    10, 44.0,  11.70,  9.7,   7],
+  ["M96",  "",                        "galaxy",    10, 46.8,  11.82,  9.2,   8],
+  ["M97",  "Owl Nebula",              "planetary", 11, 14.8,  55.02,  9.9, 3.4],
+  ["M98",  "",                        "galaxy",    12, 13.8,  14.90, 10.1,  10],
+  ["M99",  "",                        "galaxy",    12, 18.8,  14.42,  9.9,   5],
+  ["M100", "",                        "galaxy",    12, 22.9,  15.82,  9.3,   7],
+  ["M101", "Pinwheel Galaxy",         "galaxy",    14,  3.2,  54.35,  7.9,  29],
+  ["M102", "Spindle Galaxy",          "galaxy",    15,  6.5,  55.77,  9.9,   6],
+  ["M103", "",                        "open",       1, 33.2,  60.70,  7.4,   6],
+  ["M104", "Sombrero Galaxy",         "galaxy",    12, 40.0, -11.62,  8.0,   9],
+  ["M105", "",                        "galaxy",    10, 47.8,  12.58,  9.3,   5],
+  ["M106", "",                        "galaxy",    12, 19.0,  47.30,  8.4,  19],
+  ["M107", "",                        "globular",  16, 32.5, -13.05,  7.9,  13],
+  ["M108", "Surfboard Galaxy",        "galaxy",    11, 11.5,  55.67, 10.0,   9],
+  ["M109", "",                        "galaxy",    11, 57.6,  53.38,  9.8,   8],
+  ["M110", "",                        "galaxy",     0, 40.4,  41.68,  8.5,  22],
+
+  ["NGC 55",   "",                          "galaxy",     0, 14.9, -39.18,  7.9,  32],
+  ["NGC 104",  "47 Tucanae",                "globular",   0, 24.1, -72.08,  4.1,  31],
+  ["NGC 253",  "Sculptor Galaxy",           "galaxy",     0, 47.6, -25.28,  7.1,  27],
+  ["NGC 281",  "Pacman Nebula",             "nebula",     0, 52.8,  56.62,  7.4,  35],
+  ["NGC 300",  "",                          "galaxy",     0, 54.9, -37.68,  8.1,  22],
+  ["NGC 457",  "Owl Cluster",               "open",       1, 19.1,  58.33,  6.4,  13],
+  ["NGC 869",  "Double Cluster",            "open",       2, 20.0,  57.13,  3.7,  60],
+  ["NGC 891",  "Silver Sliver Galaxy",      "galaxy",     2, 22.6,  42.35, 10.0,  13],
+  ["IC 1805",  "Heart Nebula",              "nebula",     2, 32.7,  61.45,  6.5,  60],
+  ["IC 1848",  "Soul Nebula",               "nebula",     2, 51.2,  60.43,  6.5,  60],
+  ["NGC 1499", "California Nebula",         "nebula",     4,  3.3,  36.42,  6.0, 145],
+  ["IC 2118",  "Witch Head Nebula",         "nebula",     5,  6.9,  -7.22, 13.0, 180],
+  ["NGC 1977", "Running Man Nebula",        "nebula",     5, 35.3,  -4.83,  7.0,  20],
+  ["NGC 2070", "Tarantula Nebula",          "nebula",     5, 38.7, -69.10,  8.0,  40],
+  ["IC 434",   "Horsehead Nebula",          "nebula",     5, 40.9,  -2.47,  7.3,  60],
+  ["NGC 2024", "Flame Nebula",              "nebula",     5, 41.9,  -1.85,  7.2,  30],
+  ["IC 443",   "Jellyfish Nebula",          "snr",        6, 17.2,  22.52, 12.0,  50],
+  ["NGC 2237", "Rosette Nebula",            "nebula",     6, 32.3,   5.05,  9.0,  80],
+  ["NGC 2264", "Cone Nebula",               "open",       6, 41.1,   9.88,  3.9,  40],
+  ["NGC 2392", "Eskimo Nebula",             "planetary",  7, 29.2,  20.92,  9.1, 0.8],
+  ["NGC 2403", "",                          "galaxy",     7, 36.9,  65.60,  8.4,  22],
+  ["NGC 3242", "Ghost of Jupiter",          "planetary", 10, 24.8, -18.63,  7.7, 0.6],
+  ["NGC 3372", "Carina Nebula",             "nebula",    10, 45.1, -59.87,  1.0, 120],
+  ["NGC 3628", "Hamburger Galaxy",          "galaxy",    11, 20.3,  13.58,  9.5,  15],
+  ["NGC 4565", "Needle Galaxy",             "galaxy",    12, 36.3,  25.98,  9.6,  16],
+  ["NGC 4631", "Whale Galaxy",              "galaxy",    12, 42.1,  32.53,  9.2,  15],
+  ["NGC 5128", "Centaurus A",               "galaxy",    13, 25.5, -43.02,  6.8,  26],
+  ["NGC 5139", "Omega Centauri",            "globular",  13, 26.8, -47.48,  3.9,  36],
+  ["NGC 6543", "Cat's Eye Nebula",          "planetary", 17, 58.6,  66.63,  8.1, 0.4],
+  ["NGC 6752", "",                          "globular",  19, 10.9, -59.98,  5.4,  20],
+  ["NGC 6888", "Crescent Nebula",           "nebula",    20, 12.0,  38.35,  7.4,  18],
+  ["NGC 6946", "Fireworks Galaxy",          "galaxy",    20, 34.9,  60.15,  8.8,  11],
+  ["NGC 6960", "Western Veil Nebula",       "snr",       20, 45.7,  30.72,  7.0,  70],
+  ["IC 5070",  "Pelican Nebula",            "nebula",    20, 50.8,  44.35,  8.0,  60],
+  ["NGC 6992", "Eastern Veil Nebula",       "snr",       20, 56.4,  31.72,  7.0,  60],
+  ["NGC 7000", "North America Nebula",      "nebula",    20, 59.3,  44.52,  4.0, 120],
+  ["NGC 7009", "Saturn Nebula",             "planetary", 21,  4.2, -11.37,  8.0, 0.6],
+  ["IC 1396",  "Elephant's Trunk Nebula",   "nebula",    21, 39.1,  57.50,  3.5, 170],
+  ["NGC 7293", "Helix Nebula",              "planetary", 22, 29.6, -20.83,  7.6,  16],
+  ["NGC 7331", "",                          "galaxy",    22, 37.1,  34.42,  9.5,  11],
+  ["NGC 7635", "Bubble Nebula",             "nebula",    23, 20.7,  61.20, 10.0,  15],
+  ["NGC 7662", "Blue Snowball Nebula",      "planetary", 23, 25.9,  42.55,  8.6, 0.5],
+];
+
+/** `{ id, name, type, ra (deg), dec, mag, size }` for every catalog object. */
+export const CATALOG = ROWS.map(([id, name, type, h, m, dec, mag, size]) => ({
+  id, name, type, ra: (h + m / 60) * 15, dec, mag, size,
+}));
+
+export const targetLabel = (t) => t.name ? `${t.id} · ${t.name}` : t.id;
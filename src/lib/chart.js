@@ -0,0 +1,13 @@
+// ── Chart helpers ────────────────────────────────────────────────────────────
+// Forecast charts share a time axis (ms); synced tooltips snap to the nearest sample.
+export const syncNearest = (ticks, { activeLabel }) => {
+  const t = Number(activeLabel);
+  let best = 0;
+  ticks.forEach((tick, i) => { if (Math.abs(tick.value - t) < Math.abs(ticks[best].value - t)) best = i; });
+  return best;
+};
+
+// Pinned targets on the altitude chart, one color each.
+export const TARGET_COLORS     = ["var(--target-1)", "var(--target-2)", "var(--target-3)", "var(--target-4)"];
+export const MAX_CHART_TARGETS = TARGET_COLORS.length;
+export const CLEAR_CLOUD       = 30;  // % cloud cover still counted as clear
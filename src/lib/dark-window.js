@@ -0,0 +1,97 @@
+// ── Dark window ──────────────────────────────────────────────────────────────
+// A "night" runs from one solar noon to the next. Inside it, the dark window is
+// the time the Sun is below astronomical twilight and the Moon is either below
+// the horizon or faint enough (illuminated fraction under `moonLimit`) to ignore.
+import {
+  getSunTimes, getSunPosition, getMoonIllumination, moonLimbAltitude,
+  intervalsAbove, MOON_HORIZON, SUN_ALTITUDES,
+} from "./ephemeris.js";
+
+const DAY_MS  = 86400000;
+const HOUR_MS = 3600000;
+
+export const DEFAULT_MOON_LIMIT = 0;
+export const MOON_LIMITS = [0, 0.1, 0.25, 0.5];  // choices offered in the UI
+
+/** `base` with every interval in `cut` removed. Both lists sorted, non-overlapping. */
+function subtractIntervals(base, cut) {
+  const out = [];
+  for (const b of base) {
+    let from = b.start;
+    for (const c of cut) {
+      if (c.end <= from || c.start >= b.end) continue;
+      if (c.start > from) out.push({ start: from, end: c.start });
+      from = c.end > from ? c.end : from;
+    }
+    if (from < b.end) out.push({ start: from, end: b.end });
+  }
+  return out;
+}
+
+export const totalHours = (intervals) =>
+  intervals.reduce((sum, { start, end }) => sum + (end - start), 0) / HOUR_MS;
+
+/** Hours of `intervals` that fall between `start` and `end`. */
+export const overlapHours = (intervals, start, end) => totalHours(intervals
+  .filter((i) => i.start < end && i.end > start)
+  .map((i) => ({ start: Math.max(i.start, start), end: Math.min(i.end, end) })));
+
+/**
+ * The night following the solar noon closest to `date`: twilight times, when
+ * the Moon is up, and the resulting moonless dark intervals.
+ */
+export function getNight(date, lat, lon, { moonLimit = DEFAULT_MOON_LIMIT } = {}) {
+  const evening = getSunTimes(date, lat, lon);
+  const morning = getSunTimes(new Date(evening.solarNoon.valueOf() + DAY_MS), lat, lon);
+  const start = evening.solarNoon;
+  const end   = morning.solarNoon;
+
+  const sunDown = intervalsAbove((t) => -getSunPosition(t, lat, lon).altitude, start, end, -SUN_ALTITUDES.astronomical);
+  const moonUp  = intervalsAbove((t) => moonLimbAltitude(t, lat, lon), start, end, MOON_HORIZON);
+  const moon    = getMoonIllumination(new Date((start.valueOf() + end.valueOf()) / 2));
+  const dark    = moon.fraction < moonLimit ? sunDown : subtractIntervals(sunDown, moonUp);
+
+  return {
+    date: start,
+    sunset: evening.sunset,
+    civilDusk: evening.civilDusk,
+    nauticalDusk: evening.nauticalDusk,
+    astronomicalDusk: evening.astronomicalDusk,
+    astronomicalDawn: morning.astronomicalDawn,
+    nauticalDawn: morning.nauticalDawn,
+    civilDawn: morning.civilDawn,
+    sunrise: morning.sunrise,
+    span: {
+      start: new Date((evening.sunset?.valueOf() ?? start.valueOf() + DAY_MS / 4) - HOUR_MS / 2),
+      end:   new Date((morning.sunrise?.valueOf() ?? end.valueOf() - DAY_MS / 4) + HOUR_MS / 2),
+    },
+    astroNight: sunDown,
+    moonUp,
+    moonIllumination: moon.fraction,
+    moonPhase: moon.phase,
+    dark,
+    darkHours: totalHours(dark),
+  };
+}
+
+/**
+ * Where the Sun is above each twilight level between `start` and `end`, keyed
+ * like SUN_ALTITUDES (`sunrise` is daytime, `astronomical` everything but full
+ * darkness). Used to shade twilight bands on time charts.
+ */
+export function twilightBands(start, end, lat, lon) {
+  const alt = (t) => getSunPosition(t, lat, lon).altitude;
+  return Object.fromEntries(Object.entries(SUN_ALTITUDES).map(([k, h]) => [k, intervalsAbove(alt, start, end, h)]));
+}
+
+/** `count` consecutive nights, starting with the one in progress at `now`. */
+export function getNights(now, lat, lon, count = 7, options) {
+  const nights = [];
+  let night = getNight(new Date(now.valueOf() - DAY_MS), lat, lon, options);
+  if (night.span.end < now) night = getNight(now, lat, lon, options);
+  while (nights.length < count) {
+    nights.push(night);
+    night = getNight(new Date(night.date.valueOf() + DAY_MS), lat, lon, options);
+  }
+  return nights;
+}
@@ -0,0 +1,399 @@
+// ── Ephemeris ────────────────────────────────────────────────────────────────
+// Low-precision Sun and Moon positions after Meeus, "Astronomical Algorithms"
+// (2nd ed.): Sun to ~0.01°, Moon from the main terms of ch. 47 to ~0.01°.
+// Rise/set/twilight events are found numerically from the altitude curve, so
+// the same machinery works at any latitude and for any body.
+
+const DAY_MS = 86400000;
+const J1970  = 2440587.5;
+const J2000  = 2451545.0;
+const DELTA_T_DAYS = 69 / 86400; // TT − UTC, close enough for this decade
+
+const rad = Math.PI / 180;
+const sin = (d) => Math.sin(d * rad);
+const cos = (d) => Math.cos(d * rad);
+const norm360 = (d) => ((d % 360) + 360) % 360;
+
+export const toJulian   = (date) => date.valueOf() / DAY_MS + J1970;
+export const fromJulian = (jd) => new Date((jd - J1970) * DAY_MS);
+const centuries = (date) => (toJulian(date) + DELTA_T_DAYS - J2000) / 36525;
+
+export const SUN_ALTITUDES = {
+  sunrise:      -0.833,
+  civil:        -6,
+  nautical:     -12,
+  astronomical: -18,
+};
+
+// ── Coordinate helpers ───────────────────────────────────────────────────────
+function obliquity(T) {
+  return 23.4392911 - 0.0130042 * T;
+}
+
+function eclipticToEquatorial(lambda, beta, T) {
+  const e  = obliquity(T);
+  const ra = Math.atan2(sin(lambda) * cos(e) - Math.tan(beta * rad) * sin(e), cos(lambda)) / rad;
+  const dec = Math.asin(sin(beta) * cos(e) + cos(beta) * sin(e) * sin(lambda)) / rad;
+  return { ra: norm360(ra), dec };
+}
+
+/** Greenwich mean sidereal time in degrees. */
+export function siderealTime(date) {
+  const d = toJulian(date) - J2000;
+  const T = d / 36525;
+  return norm360(280.46061837 + 360.98564736629 * d + 0.000387933 * T * T);
+}
+
+/** Horizontal coordinates for an equatorial position (degrees). Azimuth is from north through east. */
+export function altAz(ra, dec, date, lat, lon) {
+  const H = siderealTime(date) + lon - ra;
+  const altitude = Math.asin(sin(lat) * sin(dec) + cos(lat) * cos(dec) * cos(H)) / rad;
+  const azimuth  = norm360(Math.atan2(sin(H), cos(H) * sin(lat) - Math.tan(dec * rad) * cos(lat)) / rad + 180);
+  const hourAngle = ((norm360(H) + 180) % 360) - 180;
+  return { altitude, azimuth, hourAngle };
+}
+
+/** Angular separation between two equatorial positions, degrees. */
+export function separation(a, b) {
+  const c = sin(a.dec) * sin(b.dec) + cos(a.dec) * cos(b.dec) * cos(a.ra - b.ra);
+  return Math.acos(Math.min(1, Math.max(-1, c))) / rad;
+}
+
+// ── Sun ──────────────────────────────────────────────────────────────────────
+/** Geocentric apparent Sun: ecliptic longitude, RA/Dec (deg) and distance (AU). */
+export function sunCoords(date) {
+  const T  = centuries(date);
+  const L0 = 280.46646 + 36000.76983 * T;
+  const M  = 357.52911 + 35999.05029 * T;
+  const C  = (1.914602 - 0.004817 * T) * sin(M) + 0.019993 * sin(2 * M) + 0.000289 * sin(3 * M);
+  const e  = 0.016708634 - 0.000042037 * T;
+  const v  = M + C;
+  const omega  = 125.04 - 1934.136 * T;
+  const lambda = norm360(L0 + C - 0.00569 - 0.00478 * sin(omega));
+  const distance = (1.000001018 * (1 - e * e)) / (1 + e * cos(v));
+  return { lambda, distance, ...eclipticToEquatorial(lambda, 0, T) };
+}
+
+export function getSunPosition(date, lat, lon) {
+  const { ra, dec } = sunCoords(date);
+  return altAz(ra, dec, date, lat, lon);
+}
+
+// ── Moon ─────────────────────────────────────────────────────────────────────
+// Meeus table 47.A / 47.B, largest terms: [D, M, M', F, Σl, Σr] and [D, M, M', F, Σb]
+const MOON_LR = [
+  [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],   [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],     [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],     [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],     [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],   [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],     [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],          [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],     [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],      [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],       [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],       [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],       [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+];
+const MOON_B = [
+  [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602],  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237], [2, 0, -1, 1, 55413],  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],   [0, 0, 2, 1, 17198],   [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],   [2, -1, 0, -1, 8216],  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],    [2, 1, 0, -1, -3359],  [2, -1, -1, 1, 2463],
+];
+const EARTH_RADIUS_KM = 6378.14;
+const MOON_RADIUS_KM  = 1737.4;
+const AU_KM = 149597870.7;
+
+/** Geocentric Moon: ecliptic lon/lat, RA/Dec (deg) and distance (km). */
+export function moonCoords(date) {
+  const T  = centuries(date);
+  const Lp = norm360(218.3164477 + 481267.88123421 * T);
+  const D  = norm360(297.8501921 + 445267.1114034 * T);
+  const M  = norm360(357.5291092 + 35999.0502909 * T);
+  const Mp = norm360(134.9633964 + 477198.8675055 * T);
+  const F  = norm360(93.2720950 + 483202.0175233 * T);
+  const E  = 1 - 0.002516 * T;
+  const A1 = 119.75 + 131.849 * T;
+  const A2 = 53.09 + 479264.290 * T;
+  const A3 = 313.45 + 481266.484 * T;
+  const eFactor = (m) => (m === 0 ? 1 : Math.abs(m) === 1 ? E : E * E);
+
+  let sl = 0, sr = 0, sb = 0;
+  for (const [d, m, mp, f, l, r] of MOON_LR) {
+    const arg = d * D + m * M + mp * Mp + f * F;
+    sl += l * eFactor(m) * sin(arg);
+    sr += r * eFactor(m) * cos(arg);
+  }
+  for (const [d, m, mp, f, b] of MOON_B) {
+    sb += b * eFactor(m) * sin(d * D + m * M + mp * Mp + f * F);
+  }
+  sl += 3958 * sin(A1) + 1962 * sin(Lp - F) + 318 * sin(A2);
+  sb += -2235 * sin(Lp) + 382 * sin(A3) + 175 * sin(A1 - F) + 175 * sin(A1 + F)
+      + 127 * sin(Lp - Mp) - 115 * sin(Lp + Mp);
+
+  const lambda = norm360(Lp + sl / 1e6);
+  const beta   = sb / 1e6;
+  const distance = 385000.56 + sr / 1000;
+  return { lambda, beta, distance, ...eclipticToEquatorial(lambda, beta, T) };
+}
+
+/** Topocentric Moon altitude/azimuth (parallax-corrected, no refraction). */
+export function getMoonPosition(date, lat, lon) {
+  const { ra, dec, distance } = moonCoords(date);
+  const geo = altAz(ra, dec, date, lat, lon);
+  const parallax = Math.asin(EARTH_RADIUS_KM / distance) / rad;
+  const altitude = geo.altitude - Math.asin(Math.sin(parallax * rad) * cos(geo.altitude)) / rad;
+  return { ...geo, altitude, distance, parallax };
+}
+
+/**
+ * Illuminated fraction and phase of the Moon. `phase` runs 0 → 1 through a
+ * lunation (0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter).
+ */
+export function getMoonIllumination(date) {
+  const s = sunCoords(date);
+  const m = moonCoords(date);
+  const R = s.distance * AU_KM;
+  const psi = separation(s, m);
+  const i = Math.atan2(R * sin(psi), m.distance - R * cos(psi));
+  return {
+    fraction: (1 + Math.cos(i)) / 2,
+    phase: norm360(m.lambda - s.lambda) / 360,
+    angle: i / rad,
+  };
+}
+
+// ── Planets ──────────────────────────────────────────────────────────────────
+// Keplerian elements (J2000 ecliptic) and their rates per Julian century from
+// Standish, "Keplerian Elements for Approximate Positions of the Major Planets"
+// (JPL), good to a few arcminutes for 1800–2050: [a (AU), e, I, L, ϖ, Ω].
+const PLANET_ELEMENTS = {
+  mercury: [[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+            [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]],
+  venus:   [[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+            [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]],
+  earth:   [[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0],
+            [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0]],
+  mars:    [[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+            [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]],
+  jupiter: [[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+            [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]],
+  saturn:  [[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+            [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]],
+  uranus:  [[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+            [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]],
+  neptune: [[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+            [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]],
+};
+
+// Visual magnitude from heliocentric distance r, geocentric distance Δ (AU)
+// and phase angle i (deg), after Meeus ch. 41; `diameter` is the equatorial
+// diameter in arcseconds at 1 AU.
+export const PLANETS = {
+  mercury: { label: "Mercury", diameter: 6.74,   mag: (i) => -0.42 + 0.0380 * i - 0.000273 * i * i + 0.000002 * i ** 3 },
+  venus:   { label: "Venus",   diameter: 16.92,  mag: (i) => -4.40 + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i ** 3 },
+  mars:    { label: "Mars",    diameter: 9.36,   mag: (i) => -1.52 + 0.016 * i },
+  jupiter: { label: "Jupiter", diameter: 196.94, mag: (i) => -9.40 + 0.005 * i },
+  saturn:  { label: "Saturn",  diameter: 165.6,  mag: (i, B) => -8.88 + 0.044 * i - 2.60 * Math.abs(sin(B)) + 1.25 * sin(B) ** 2 },
+  uranus:  { label: "Uranus",  diameter: 70.48,  mag: () => -7.19 },
+  neptune: { label: "Neptune", diameter: 68.30,  mag: () => -6.87 },
+};
+
+const LIGHT_DAYS_PER_AU = 0.0057755183;
+
+/** Heliocentric J2000 ecliptic position (AU). */
+function heliocentric(name, T) {
+  const [el, rate] = PLANET_ELEMENTS[name];
+  const [a, e, I, L, peri, node] = el.map((v, i) => v + rate[i] * T);
+  const M = norm360(L - peri) * rad;
+  let E = M + e * Math.sin(M);
+  for (let k = 0; k < 6; k++) E -= (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+  const xp = a * (Math.cos(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+  const w = peri - node;
+  return {
+    x: (cos(w) * cos(node) - sin(w) * sin(node) * cos(I)) * xp + (-sin(w) * cos(node) - cos(w) * sin(node) * cos(I)) * yp,
+    y: (cos(w) * sin(node) + sin(w) * cos(node) * cos(I)) * xp + (-sin(w) * sin(node) + cos(w) * cos(node) * cos(I)) * yp,
+    z: sin(w) * sin(I) * xp + cos(w) * sin(I) * yp,
+  };
+}
+
+/**
+ * Geocentric planet, light-time corrected and precessed to the date:
+ * ecliptic lon/lat, RA/Dec (deg), distances from Earth (`distance`) and Sun
+ * (`sunDistance`) in AU, phase angle, elongation (positive east of the Sun,
+ * i.e. an evening object), visual magnitude and apparent diameter (arcsec).
+ */
+export function planetCoords(name, date) {
+  const T = centuries(date);
+  const earth = heliocentric("earth", T);
+  let p = heliocentric(name, T), delta = 0;
+  for (let k = 0; k < 2; k++) {
+    delta = Math.hypot(p.x - earth.x, p.y - earth.y, p.z - earth.z);
+    p = heliocentric(name, T - (delta * LIGHT_DAYS_PER_AU) / 36525);
+  }
+  const [x, y, z] = [p.x - earth.x, p.y - earth.y, p.z - earth.z];
+  const lambda = norm360(Math.atan2(y, x) / rad + 1.3969713 * T);
+  const beta   = Math.atan2(z, Math.hypot(x, y)) / rad;
+  const r = Math.hypot(p.x, p.y, p.z);
+  const R = Math.hypot(earth.x, earth.y, earth.z);
+  const phaseAngle = Math.acos(Math.min(1, Math.max(-1, (r * r + delta * delta - R * R) / (2 * r * delta)))) / rad;
+  const elong = Math.acos(Math.min(1, Math.max(-1, (R * R + delta * delta - r * r) / (2 * R * delta)))) / rad;
+  const east  = norm360(lambda - sunCoords(date).lambda) < 180;
+
+  // Saturn's rings: Earth's latitude above the ring plane (Meeus ch. 45).
+  const ringTilt = name === "saturn"
+    ? Math.asin(sin(28.075216 - 0.012998 * T) * cos(beta) * sin(lambda - 169.508470 - 1.394681 * T)
+        - cos(28.075216 - 0.012998 * T) * sin(beta)) / rad
+    : 0;
+
+  const planet = PLANETS[name];
+  return {
+    lambda, beta,
+    ...eclipticToEquatorial(lambda, beta, T),
+    distance: delta,
+    sunDistance: r,
+    phaseAngle,
+    elongation: east ? elong : -elong,
+    magnitude: 5 * Math.log10(r * delta) + planet.mag(phaseAngle, ringTilt),
+    diameter: planet.diameter / delta,
+  };
+}
+
+export function getPlanetPosition(name, date, lat, lon) {
+  const c = planetCoords(name, date);
+  return { ...c, ...altAz(c.ra, c.dec, date, lat, lon) };
+}
+
+// ── Event search ─────────────────────────────────────────────────────────────
+const STEP_MS = 10 * 60000;
+
+/**
+ * Times in [start, end] where `fn(date)` crosses `level`, refined by bisection
+ * to about a second. Returns `{ time, rising }` in chronological order.
+ */
+export function findCrossings(fn, start, end, level = 0, stepMs = STEP_MS) {
+  const out = [];
+  let t0 = start.valueOf();
+  let v0 = fn(new Date(t0)) - level;
+  for (let t1 = t0 + stepMs; t0 < end.valueOf(); t1 += stepMs) {
+    t1 = Math.min(t1, end.valueOf());
+    const v1 = fn(new Date(t1)) - level;
+    if ((v0 < 0) !== (v1 < 0)) {
+      let a = t0, b = t1, va = v0;
+      while (b - a > 1000) {
+        const mid = (a + b) / 2;
+        const vm = fn(new Date(mid)) - level;
+        if ((va < 0) === (vm < 0)) { a = mid; va = vm; } else b = mid;
+      }
+      out.push({ time: new Date(Math.round((a + b) / 2)), rising: v0 < 0 });
+    }
+    t0 = t1; v0 = v1;
+  }
+  return out;
+}
+
+/** Intervals in [start, end] during which `fn(date)` stays above `level`. */
+export function intervalsAbove(fn, start, end, level = 0, stepMs = STEP_MS) {
+  const out = [];
+  let from = fn(start) > level ? start : null;
+  for (const { time, rising } of findCrossings(fn, start, end, level, stepMs)) {
+    if (rising) from = time;
+    else if (from) { out.push({ start: from, end: time }); from = null; }
+  }
+  if (from) out.push({ start: from, end });
+  return out;
+}
+
+/** Upper transit (hour angle 0) of a body between start and end, or undefined. */
+function findTransit(hourAngleFn, start, end) {
+  return findCrossings(hourAngleFn, start, end, 0, STEP_MS)
+    .find((c) => c.rising && Math.abs(hourAngleFn(c.time)) < 1)?.time;
+}
+
+// ── Sun events ───────────────────────────────────────────────────────────────
+/** Solar noon closest to `date` at longitude `lon`. */
+export function solarNoon(date, lon) {
+  const dayStart = Math.floor(date.valueOf() / DAY_MS) * DAY_MS;
+  let t = dayStart + DAY_MS / 2 - (lon / 360) * DAY_MS;
+  t += Math.round((date.valueOf() - t) / DAY_MS) * DAY_MS;
+  for (let i = 0; i < 3; i++) {
+    const { ra } = sunCoords(new Date(t));
+    const H = ((norm360(siderealTime(new Date(t)) + lon - ra) + 180) % 360) - 180;
+    t -= (H / 360.9856) * DAY_MS;
+  }
+  return new Date(t);
+}
+
+/**
+ * Sunrise/sunset and civil, nautical and astronomical twilight for the solar
+ * day whose noon is closest to `date`. Events that do not occur (polar day or
+ * night) are undefined.
+ */
+export function getSunTimes(date, lat, lon) {
+  const noon  = solarNoon(date, lon);
+  const start = new Date(noon.valueOf() - DAY_MS / 2);
+  const end   = new Date(noon.valueOf() + DAY_MS / 2);
+  const alt   = (t) => getSunPosition(t, lat, lon).altitude;
+  const pair  = (h) => {
+    const xs = findCrossings(alt, start, end, h);
+    return { rise: xs.find((x) => x.rising && x.time < noon)?.time, set: xs.find((x) => !x.rising && x.time > noon)?.time };
+  };
+  const sun = pair(SUN_ALTITUDES.sunrise);
+  const civ = pair(SUN_ALTITUDES.civil);
+  const nau = pair(SUN_ALTITUDES.nautical);
+  const ast = pair(SUN_ALTITUDES.astronomical);
+  return {
+    solarNoon: noon,
+    sunrise: sun.rise,             sunset: sun.set,
+    civilDawn: civ.rise,           civilDusk: civ.set,
+    nauticalDawn: nau.rise,        nauticalDusk: nau.set,
+    astronomicalDawn: ast.rise,    astronomicalDusk: ast.set,
+  };
+}
+
+// ── Moon events ──────────────────────────────────────────────────────────────
+/** Altitude of the Moon's upper limb; it is up while this exceeds MOON_HORIZON. */
+export const MOON_HORIZON = -0.5667;
+export function moonLimbAltitude(date, lat, lon) {
+  const p = getMoonPosition(date, lat, lon);
+  return p.altitude + Math.asin(MOON_RADIUS_KM / p.distance) / rad;
+}
+
+/**
+ * Moonrise, moonset and upper transit within `hours` of `start`. The rise/set
+ * altitude is the upper limb at the horizon with standard refraction.
+ * `alwaysUp`/`alwaysDown` are set when there is neither a rise nor a set.
+ */
+export function getMoonTimes(start, lat, lon, hours = 24) {
+  const end = new Date(start.valueOf() + hours * 3600000);
+  const limb = (t) => moonLimbAltitude(t, lat, lon);
+  const xs = findCrossings(limb, start, end, MOON_HORIZON);
+  const rise = xs.find((x) => x.rising)?.time;
+  const set  = xs.find((x) => !x.rising)?.time;
+  const transit = findTransit((t) => getMoonPosition(t, lat, lon).hourAngle, start, end);
+  const result = { rise, set, transit };
+  if (!rise && !set) result[limb(start) > MOON_HORIZON ? "alwaysUp" : "alwaysDown"] = true;
+  return result;
+}
+
+// ── Planet events ────────────────────────────────────────────────────────────
+// Planets are effectively points: rise and set at standard refraction.
+const PLANET_HORIZON = -0.5667;
+
+/** Planet rise, set and upper transit within `hours` of `start`, like getMoonTimes. */
+export function getPlanetTimes(name, start, lat, lon, hours = 24) {
+  const end = new Date(start.valueOf() + hours * 3600000);
+  const alt = (t) => getPlanetPosition(name, t, lat, lon).altitude;
+  const xs  = findCrossings(alt, start, end, PLANET_HORIZON);
+  const rise = xs.find((x) => x.rising)?.time;
+  const set  = xs.find((x) => !x.rising)?.time;
+  const transit = findTransit((t) => getPlanetPosition(name, t, lat, lon).hourAngle, start, end);
+  const result = { rise, set, transit };
+  if (!rise && !set) result[alt(start) > PLANET_HORIZON ? "alwaysUp" : "alwaysDown"] = true;
+  return result;
+}
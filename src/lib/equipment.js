@@ -0,0 +1,52 @@
+// ── Equipment profiles ───────────────────────────────────────────────────────
+// What counts as "too windy" or "dewing up" depends on the rig: a camera on a
+// tracker shrugs off a breeze that ruins a 2 m focal length, and a Schmidt–
+// Cassegrain corrector dews long before an open Newtonian. Each profile has
+// thresholds for weather.js's warnings; the user picks one and may adjust it.
+//   dewSpread  warn when temperature − dew point (°C) is at or below this
+//   windMax    warn above this wind speed (m/s)
+//   freezeAt   warn at or below this temperature (°C), for batteries and grease
+import { useState, useCallback, useMemo } from "react";
+
+const EQUIPMENT_KEY = "astroskies.equipment";
+
+export const EQUIPMENT_PROFILES = {
+  widefield: { label: "Camera lens / tracker",       thresholds: { dewSpread: 3,   windMax: 10, freezeAt: 0 } },
+  refractor: { label: "Refractor (< 800 mm)",        thresholds: { dewSpread: 3,   windMax: 7,  freezeAt: 0 } },
+  reflector: { label: "Newtonian / open tube",       thresholds: { dewSpread: 2,   windMax: 6,  freezeAt: 0 } },
+  longFocal: { label: "SCT / long focal (> 1500 mm)", thresholds: { dewSpread: 3.5, windMax: 4,  freezeAt: 0 } },
+};
+export const DEFAULT_PROFILE = "refractor";
+
+function loadEquipment() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(EQUIPMENT_KEY));
+    if (EQUIPMENT_PROFILES[saved?.profile]) return { profile: saved.profile, overrides: saved.overrides ?? {} };
+  } catch { /* fall through to the default */ }
+  return { profile: DEFAULT_PROFILE, overrides: {} };
+}
+
+/**
+ * The selected profile with any adjusted thresholds merged in:
+ * `[{ profile, label, thresholds, overrides }, { setProfile, setThreshold, reset }]`.
+ * Choosing another profile drops the adjustments.
+ */
+export function useEquipment() {
+  const [state, setState] = useState(loadEquipment);
+
+  const commit = useCallback((update) => setState((prev) => {
+    const next = update(prev);
+    try { localStorage.setItem(EQUIPMENT_KEY, JSON.stringify(next)); } catch { /* keep it for this session */ }
+    return next;
+  }), []);
+
+  const setProfile   = useCallback((profile) => commit(() => ({ profile, overrides: {} })), [commit]);
+  const setThreshold = useCallback((key, value) => commit((prev) => ({ ...prev, overrides: { ...prev.overrides, [key]: value } })), [commit]);
+  const reset        = useCallback(() => commit((prev) => ({ ...prev, overrides: {} })), [commit]);
+
+  const equipment = useMemo(() => {
+    const { label, thresholds } = EQUIPMENT_PROFILES[state.profile];
+    return { profile: state.profile, label, thresholds: { ...thresholds, ...state.overrides }, overrides: state.overrides };
+  }, [state]);
+  return [equipment, { setProfile, setThreshold, reset }];
+}
@@ -0,0 +1,104 @@
+// ── Data export ──────────────────────────────────────────────────────────────
+// Scored forecast blocks as flat rows for CSV or JSON: both timestamps, every
+// decoded field, the Sun and Moon and the score. Values follow the viewer's
+// units (see lib/units) and column names say which; timestamps stay ISO 8601
+// whatever the display format, so spreadsheets can parse them. Shared by the
+// dashboard's export buttons and `/api/forecast?format=csv`, hence the
+// explicit import extensions.
+import { offsetMs, dateKey } from "./timezone.js";
+import { windSpeed, seeingValue, transparencyValue } from "./format.js";
+
+const round = (v, digits = 1) => (v == null || Number.isNaN(v) ? null : Number(v.toFixed(digits)));
+const pad = (n) => String(Math.floor(n)).padStart(2, "0");
+
+/** ISO 8601 wall-clock time in `timeZone` with its offset: "2026-10-19T21:00:00-10:00". */
+export function localIso(date, timeZone) {
+  const offset = offsetMs(date, timeZone);
+  const wall = new Date(date.valueOf() + offset).toISOString().slice(0, 19);
+  const abs = Math.abs(offset) / 60000;
+  return `${wall}${offset < 0 ? "-" : "+"}${pad(abs / 60)}:${pad(abs % 60)}`;
+}
+
+/** The API's own units: what `/api/forecast?format=csv` exports. */
+export const API_UNITS = { temp: "C", wind: "ms", seeing: "arcsec" };
+
+const WIND_COLUMNS = { kmh: "wind_speed_kmh", mph: "wind_speed_mph", ms: "wind_speed_ms", kn: "wind_speed_kn", bft: "wind_beaufort" };
+const SEEING_COLUMNS = { scale: ["seeing_class", "transparency_class"], arcsec: ["seeing_arcsec", "transparency_mag"] };
+const toF = (c) => (c == null ? null : c * 9 / 5 + 32);
+
+/** [column, value of a scored block] in `units`; `night` is added from the night list. */
+export function exportColumns({ temp, wind, seeing } = API_UNITS) {
+  const [seeingColumn, transparencyColumn] = SEEING_COLUMNS[seeing];
+  const tempColumn = temp === "F" ? "temp_f" : "temp_c";
+  return [
+    ["cloudcover_pct",        (b) => round(b.cloudcover, 0)],
+    [seeingColumn,            (b) => seeingValue(b, seeing)],
+    [transparencyColumn,      (b) => transparencyValue(b, seeing)],
+    ["lifted_index_c",        (b) => b.liftedIndex ?? null],
+    ["rh_pct",                (b) => round(b.rh, 0)],
+    [WIND_COLUMNS[wind],      (b) => (b.wind?.speed != null ? windSpeed(b.wind.speed, wind) : null)],
+    ["wind_direction",        (b) => b.wind?.direction ?? null],
+    [tempColumn,              (b) => round(temp === "F" ? toF(b.temp) : b.temp)],
+    ["precip_type",           (b) => b.precType ?? null],
+    ["sun_altitude_deg",      (b) => round(b.sunAltitude)],
+    ["moon_altitude_deg",     (b) => round(b.moonAltitude)],
+    ["moon_illumination_pct", (b) => round(b.moonIllumination * 100, 0)],
+    ["astro_dark",            (b) => b.inNight],
+    ["score",                 (b) => b.score],
+  ];
+}
+
+/**
+ * One row per scored block. `nights` (from getNights) fills the `night`
+ * column with the site-local date of the night a block falls in.
+ */
+export function exportRows(blocks, { timeZone, nights = [], units = API_UNITS }) {
+  const nightOf = (t) => nights.find((n) => t >= n.span.start && t <= n.span.end);
+  const columns = exportColumns(units);
+  return blocks.map((b) => {
+    const night = nightOf(b.time);
+    return {
+      time_utc: b.time.toISOString(),
+      time_local: localIso(b.time, timeZone),
+      night: night ? dateKey(night.date, timeZone) : null,
+      source: b.source ?? null,
+      ...Object.fromEntries(columns.map(([key, get]) => [key, get(b)])),
+    };
+  });
+}
+
+const csvCell = (v) => {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(rows) {
+  if (!rows.length) return "";
+  const keys = Object.keys(rows[0]);
+  return [keys.join(","), ...rows.map((r) => keys.map((k) => csvCell(r[k])).join(","))].join("\r\n") + "\r\n";
+}
+
+/** The JSON export: rows plus what they describe. */
+export const toJsonExport = ({ site, timeZone, style, units, rows }) => JSON.stringify({
+  site: { name: site.name, lat: site.lat, lon: site.lon },
+  timeZone,
+  style,
+  units: { temp: units.temp, wind: units.wind, seeing: units.seeing },
+  generatedAt: new Date().toISOString(),
+  blocks: rows,
+}, null, 2);
+
+/** "astroskies-mauna-kea-48h.csv" */
+export const exportFileName = (site, label, ext) =>
+  `astroskies-${(site.name ?? "site").replace(/[^\w-]+/g, "-").replace(/^-|-$/g, "").toLowerCase() || "site"}-${label}.${ext}`;
+
+/** Save `text` as a file from the browser. */
+export function downloadText(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = Object.assign(document.createElement("a"), { href: url, download: name });
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,145 @@
+// ── Forecast client ──────────────────────────────────────────────────────────
+// Loads `/api/forecast` products (see blocks.js for turning them into timed
+// blocks), compares providers, and keeps the current site's forecast for the
+// app shell.
+import { useState, useEffect, useCallback, useRef } from "react";
+import { getJson } from "./http";
+
+// ── Client ───────────────────────────────────────────────────────────────────
+export const PROVIDER_LABELS = { "7timer": "7Timer!", openmeteo: "Open-Meteo" };
+
+/**
+ * One product for a site. The default (any provider, with fallback) request is
+ * what the dashboard shows, so it is kept for offline use; when served from
+ * there the result has `cachedAt`.
+ */
+export async function fetchForecast(lat, lon, product, provider, { fallback = true } = {}) {
+  const query = `lat=${lat}&lon=${lon}&product=${product}`
+    + (provider ? `&provider=${provider}` : "") + (fallback ? "" : "&fallback=0");
+  return getJson(`/api/forecast?${query}`, { cache: !provider && fallback });
+}
+
+/**
+ * Both products for a site, fetched in parallel. A product that fails is null;
+ * only when both fail does this reject, with the astro error.
+ */
+export async function fetchSiteForecast(lat, lon) {
+  const [astro, civil] = await Promise.allSettled([fetchForecast(lat, lon, "astro"), fetchForecast(lat, lon, "civil")]);
+  if (astro.status === "rejected" && civil.status === "rejected") throw astro.reason;
+  return { astro: astro.value ?? null, civil: civil.value ?? null };
+}
+
+/** One product from every provider, without fallback; providers that fail are skipped. */
+export async function fetchEnsemble(lat, lon, product = "astro") {
+  const results = await Promise.allSettled(
+    Object.keys(PROVIDER_LABELS).map((p) => fetchForecast(lat, lon, product, p, { fallback: false })),
+  );
+  return results.filter((r) => r.status === "fulfilled").map((r) => r.value);
+}
+
+/**
+ * webcal:// address of a site's feed of good imaging windows (api/calendar.js),
+ * for subscribing from a calendar app.
+ */
+export function calendarFeedUrl(site, style) {
+  const q = new URLSearchParams({ lat: site.lat.toFixed(4), lon: site.lon.toFixed(4), name: site.name, style });
+  if (site.bortle) q.set("bortle", site.bortle);
+  return `webcal://${window.location.host}/api/calendar?${q}`;
+}
+
+// ── Ensemble ─────────────────────────────────────────────────────────────────
+export const DEFAULT_DISAGREEMENT = 30;
+
+/**
+ * Per-block cloud cover across providers, keyed by block time (ms): each
+ * provider's value, their mean and min/max, and whether the spread exceeds
+ * `threshold` percentage points.
+ */
+export function cloudEnsemble(forecasts, { threshold = DEFAULT_DISAGREEMENT } = {}) {
+  const byTime = new Map();
+  for (const f of forecasts) {
+    for (const b of f.blocks) {
+      if (b.cloudcover == null) continue;
+      const t = Date.parse(b.time);
+      if (!byTime.has(t)) byTime.set(t, {});
+      byTime.get(t)[f.provider] = b.cloudcover;
+    }
+  }
+  const out = new Map();
+  for (const [t, values] of byTime) {
+    const xs = Object.values(values);
+    const min = Math.min(...xs), max = Math.max(...xs);
+    out.set(t, {
+      values,
+      mean: xs.reduce((a, b) => a + b, 0) / xs.length,
+      min,
+      max,
+      disagree: xs.length > 1 && max - min > threshold,
+    });
+  }
+  return out;
+}
+
+// ── Site forecast hook ───────────────────────────────────────────────────────
+/**
+ * Astro and civil products for `city`, reloaded when it changes and refreshed
+ * quietly (no spinner) when the connection comes back. Each product loads and
+ * fails on its own, so one bad upstream still leaves the rest of the page
+ * usable: `errors` and `pending` are keyed by product. Responses that arrive
+ * after the site has changed are dropped.
+ */
+export function useSiteForecast(city) {
+  const [astroData, setAstroData] = useState(null);
+  const [civilData, setCivilData] = useState(null);
+  const [loading, setLoading]   = useState(true);
+  const [errors, setErrors]     = useState({});  // product → ApiRequestError
+  const [pending, setPending]   = useState({});  // product → true while (re)loading
+  const [online, setOnline]     = useState(() => navigator.onLine);
+  const currentCity = useRef(city);
+
+  useEffect(() => { currentCity.current = city; }, [city]);
+
+  const loadProduct = useCallback(async (product) => {
+    if (!city) return;
+    const setData = product === "astro" ? setAstroData : setCivilData;
+    setPending((p) => ({ ...p, [product]: true }));
+    const stale = () => currentCity.current !== city;
+    try {
+      const data = await fetchForecast(city.lat, city.lon, product);
+      if (stale()) return;
+      setData(data);
+      setErrors((e) => ({ ...e, [product]: null }));
+    } catch (err) {
+      if (stale()) return;
+      setData(null);
+      setErrors((e) => ({ ...e, [product]: err }));
+    } finally {
+      if (!stale()) setPending((p) => ({ ...p, [product]: false }));
+    }
+  }, [city]);
+
+  const load = useCallback(async () => {
+    if (!city) return;
+    setLoading(true);
+    setErrors({});
+    setAstroData(null);
+    setCivilData(null);
+    await Promise.all([loadProduct("astro"), loadProduct("civil")]);
+    if (currentCity.current === city) setLoading(false);
+  }, [city, loadProduct]);
+
+  useEffect(() => { if (city) load(); }, [load, city]);
+
+  useEffect(() => {
+    const up   = () => { setOnline(true); loadProduct("astro"); loadProduct("civil"); };
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => { window.removeEventListener("online", up); window.removeEventListener("offline", down); };
+  }, [loadProduct]);
+
+  return {
+    astroData, civilData, loading, errors, pending, online, load, loadProduct,
+    savedAt: astroData?.cachedAt ?? civilData?.cachedAt,
+  };
+}
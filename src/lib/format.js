@@ -0,0 +1,78 @@
+// ── Display helpers ──────────────────────────────────────────────────────────
+// Forecast blocks carry SI units (°C, m/s, arcsec, mag/airmass); these turn
+// them into the viewer's units (see lib/units for the choices).
+export const celsiusToF = (c) => Math.round(c * 9 / 5 + 32);
+export const fmt = (c, unit) => unit === "C" ? `${Math.round(c)}°C` : `${celsiusToF(c)}°F`;
+/** A temperature difference, e.g. a dew-point spread. */
+export const fmtDelta = (c, unit) => unit === "C" ? `${c.toFixed(1)}°C` : `${(c * 9 / 5).toFixed(1)}°F`;
+
+export const WIND_UNITS = {
+  kmh: { label: "km/h",     perMs: 3.6 },
+  mph: { label: "mph",      perMs: 2.23694 },
+  ms:  { label: "m/s",      perMs: 1, digits: 1 },
+  kn:  { label: "knots",    perMs: 1.94384, short: "kn" },
+  bft: { label: "Beaufort", short: "Bft" },
+};
+// Top of each Beaufort force 0–11 in m/s; anything faster is force 12.
+const BEAUFORT_MAX = [0.5, 1.5, 3.3, 5.5, 7.9, 10.7, 13.8, 17.1, 20.7, 24.4, 28.4, 32.6];
+
+export const beaufort = (ms) => {
+  const force = BEAUFORT_MAX.findIndex((max) => ms <= max);
+  return force < 0 ? 12 : force;
+};
+
+/** m/s in `unit`, rounded as displayed; Beaufort gives the force. */
+export function windSpeed(ms, unit) {
+  if (unit === "bft") return beaufort(ms);
+  const { perMs, digits = 0 } = WIND_UNITS[unit];
+  return Number((ms * perMs).toFixed(digits));
+}
+
+/** Back to m/s from a value in `unit`; a Beaufort force maps to its top speed. */
+export const windToMs = (value, unit) =>
+  unit === "bft" ? BEAUFORT_MAX[Math.min(value, 11)] : value / WIND_UNITS[unit].perMs;
+
+export const fmtWind = (ms, unit) =>
+  unit === "bft" ? `Bft ${beaufort(ms)}` : `${windSpeed(ms, unit)} ${WIND_UNITS[unit].short ?? WIND_UNITS[unit].label}`;
+
+// Seeing and transparency as 7Timer's 1–8 classes (the provider's raw value)
+// or in arcsec and mag/airmass. Providers without them give null either way.
+// `axis` is the chart range that holds both seeing and transparency.
+export const SEEING_DISPLAYS = {
+  scale:  { label: "1–8 scale",         seeing: "/8", transparency: "/8",   axis: [1, 8] },
+  arcsec: { label: "″ and mag/airmass", seeing: "″",  transparency: " mag", axis: [0, 3] },
+};
+
+export const seeingValue = (b, display) =>
+  (display === "scale" ? b.raw?.seeing : b.seeing != null ? Number(b.seeing.toFixed(2)) : null) ?? null;
+export const transparencyValue = (b, display) =>
+  (display === "scale" ? b.raw?.transparency : b.transparency != null ? Number(b.transparency.toFixed(2)) : null) ?? null;
+
+export const fmtSeeing = (b, display) => {
+  const v = seeingValue(b, display);
+  return v == null ? "–" : `${v}${SEEING_DISPLAYS[display].seeing}`;
+};
+export const fmtTransparency = (b, display) => {
+  const v = transparencyValue(b, display);
+  return v == null ? "–" : `${v}${SEEING_DISPLAYS[display].transparency}`;
+};
+/** A site's sky from light-pollution's siteSky, e.g. "Bortle 4 · SQM 21.09 (est.)". */
+export const skyLabel = (sky) => `Bortle ${sky.bortle} · SQM ${sky.sqm.toFixed(2)}${sky.estimated ? " (est.)" : ""}`;
+export const formatHours = (h) => {
+  const m = Math.round(h * 60);
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, "0")}m`;
+};
+
+export const PROVIDER_COLORS = { "7timer": "var(--provider-7timer)", openmeteo: "var(--provider-openmeteo)" };
+export const SOURCE_LABELS = { astro: "ASTRO", civil: "CIVIL", mixed: "ASTRO+CIVIL" };
+
+export function moonPhaseLabel(phase) {
+  if (phase < 0.03 || phase > 0.97) return { label: "New Moon",        icon: "🌑" };
+  if (phase < 0.22)                  return { label: "Waxing Crescent", icon: "🌒" };
+  if (phase < 0.28)                  return { label: "First Quarter",   icon: "🌓" };
+  if (phase < 0.47)                  return { label: "Waxing Gibbous",  icon: "🌔" };
+  if (phase < 0.53)                  return { label: "Full Moon",       icon: "🌕" };
+  if (phase < 0.72)                  return { label: "Waning Gibbous",  icon: "🌖" };
+  if (phase < 0.78)                  return { label: "Last Quarter",    icon: "🌗" };
+  return                                    { label: "Waning Crescent", icon: "🌘" };
+}
@@ -0,0 +1,36 @@
+// ── Geocoding via local proxy (avoids Nominatim CORS block) ──────────────────
+import { getJson } from "./http";
+
+export const FALLBACK_SITE = { name: "Mauna Kea, Hawaii", lat: 19.8207, lon: -155.4681 };
+
+export const geocode        = (query) => getJson(`/api/geocode?q=${encodeURIComponent(query)}`);
+export const reverseGeocode = (lat, lon) => getJson(`/api/geocode?lat=${lat}&lon=${lon}&reverse=1`, { retries: 0, cache: true });
+
+const coordName = (lat, lon) => `${lat.toFixed(2)}, ${lon.toFixed(2)}`;
+
+/** Short "Place, Region, Country" name from a Nominatim result. */
+export const shortName = (result) => result.display_name.split(",").slice(0, 3).join(",").trim();
+
+/**
+ * The viewer's position as a site, named by reverse geocoding (or by its
+ * coordinates when that fails). Resolves to FALLBACK_SITE when geolocation is
+ * unavailable or denied; never rejects.
+ */
+export function locateSite({ timeout = 8000 } = {}) {
+  if (!navigator.geolocation) return Promise.resolve(FALLBACK_SITE);
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      async ({ coords }) => {
+        const { latitude: lat, longitude: lon } = coords;
+        try {
+          const data = await reverseGeocode(lat, lon);
+          resolve({ name: (data.display_name && shortName(data)) || coordName(lat, lon), lat, lon });
+        } catch {
+          resolve({ name: coordName(lat, lon), lat, lon });
+        }
+      },
+      () => resolve(FALLBACK_SITE),
+      { timeout },
+    );
+  });
+}
@@ -0,0 +1,84 @@
+// ── HTTP client ──────────────────────────────────────────────────────────────
+// JSON requests against our own /api routes. Error bodies are typed
+// ({ error, code, retryable }); transient failures are retried with
+// exponential backoff before the error reaches the UI.
+import { saveResponse, loadResponse } from "./offline-store";
+
+export class ApiRequestError extends Error {
+  constructor(message, { status = 0, code = "network_error", retryable = true } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+async function requestOnce(url, init) {
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch {
+    throw new ApiRequestError("Network error — check your connection");
+  }
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw new ApiRequestError(body?.error ?? `Request failed (${res.status})`, {
+      status: res.status,
+      code: body?.code ?? "http_error",
+      retryable: body?.retryable ?? (res.status >= 500 || res.status === 429),
+    });
+  }
+  return body;
+}
+
+async function request(url, retries, baseDelay, init) {
+  if (isOffline()) throw new ApiRequestError("You are offline");
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(url, init);
+    } catch (err) {
+      if (!err.retryable || attempt >= retries || isOffline()) throw err;
+      await sleep(baseDelay * 2 ** attempt * (0.75 + Math.random() * 0.5));
+    }
+  }
+}
+
+/**
+ * With `cache`, successful responses are stored offline and a transient
+ * failure falls back to the last stored copy. Object responses served that
+ * way carry `cachedAt` (ms) so the UI can say how old they are.
+ */
+export async function getJson(url, { retries = 2, baseDelay = 600, cache = false } = {}) {
+  try {
+    const body = await request(url, retries, baseDelay);
+    if (cache) saveResponse(url, body);
+    return body;
+  } catch (err) {
+    if (!cache || !err.retryable) throw err;
+    const hit = await loadResponse(url);
+    if (!hit) throw err;
+    return Array.isArray(hit.data) ? hit.data : { ...hit.data, cachedAt: hit.storedAt };
+  }
+}
+
+/** JSON body sent with `method`; retried like a GET, so only for idempotent routes. Never cached. */
+export function sendJson(url, method, body, { retries = 2, baseDelay = 600 } = {}) {
+  return request(url, retries, baseDelay, {
+    method,
+    ...(body !== undefined && { headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) }),
+  });
+}
+
+/** Short message for an error card. */
+export function describeError(err) {
+  switch (err?.code) {
+    case "network_error":        return "Network error — check your connection.";
+    case "upstream_unavailable":
+    case "upstream_unreachable": return "The data service is temporarily unavailable.";
+    case "bad_request":          return err.message;
+    default:                     return err?.message ?? "Something went wrong.";
+  }
+}
@@ -0,0 +1,138 @@
+// ── Light pollution ──────────────────────────────────────────────────────────
+// Each site's sky brightness: the Bortle class entered for a saved site, or
+// else an offline estimate. The estimate sums Walker's law skyglow
+// (I = 0.01 · P · d^−2.5 of the natural background, P people at d km) from a
+// bundled table of the world's larger urban areas, and is looked up on a
+// 0.25° grid filled on demand. It knows nothing of small towns or local
+// lighting, so it errs dark in densely settled country; a measured or known
+// Bortle class should always be entered when available.
+
+const NATURAL_SQM = 22.0;      // mag/arcsec², a pristine zenith
+const CELL_DEG    = 0.25;
+const REACH_KM    = 400;       // beyond this a city's glow is negligible
+const EARTH_KM    = 6371;
+
+// [lat, lon, metro population in millions]
+const URBAN_AREAS = [
+  // North America
+  [40.71, -74.01, 20], [34.05, -118.24, 13], [41.88, -87.63, 9.5], [32.78, -96.80, 7.6], [29.76, -95.37, 7.1],
+  [38.91, -77.04, 6.3], [39.95, -75.17, 6.2], [25.76, -80.19, 6.1], [33.75, -84.39, 6.1], [42.36, -71.06, 4.9],
+  [33.45, -112.07, 4.9], [37.77, -122.42, 4.7], [37.34, -121.89, 2.0], [47.61, -122.33, 4.0], [42.33, -83.05, 4.3],
+  [44.98, -93.27, 3.7], [32.72, -117.16, 3.3], [27.95, -82.46, 3.2], [39.74, -104.99, 3.0], [38.63, -90.20, 2.8],
+  [39.29, -76.61, 2.8], [28.54, -81.38, 2.7], [35.23, -80.84, 2.7], [29.42, -98.49, 2.6], [45.52, -122.68, 2.5],
+  [38.58, -121.49, 2.4], [40.44, -80.00, 2.4], [36.17, -115.14, 2.3], [30.27, -97.74, 2.4], [39.10, -84.51, 2.3],
+  [39.10, -94.58, 2.2], [39.96, -83.00, 2.1], [41.50, -81.69, 2.1], [39.77, -86.16, 2.1], [36.16, -86.78, 2.0],
+  [40.76, -111.89, 1.3], [35.08, -106.65, 0.9], [32.22, -110.97, 1.0], [21.31, -157.86, 1.0], [43.65, -79.38, 6.4],
+  [45.50, -73.57, 4.3], [49.28, -123.12, 2.6], [51.05, -114.07, 1.5], [53.55, -113.49, 1.4], [45.42, -75.70, 1.4],
+  [19.43, -99.13, 22], [20.66, -103.35, 5.3], [25.69, -100.32, 5.3], [19.04, -98.21, 3.2], [32.51, -117.04, 2.2],
+  // Central and South America
+  [14.63, -90.51, 3.0], [23.11, -82.37, 2.1], [18.49, -69.93, 3.5], [18.47, -66.11, 2.4], [4.71, -74.07, 11],
+  [6.24, -75.58, 4.0], [10.48, -66.90, 3.0], [-12.05, -77.04, 11], [-0.18, -78.47, 2.8], [-2.19, -79.89, 3.0],
+  [-33.45, -70.67, 7.0], [-34.60, -58.38, 15.5], [-31.42, -64.18, 1.6], [-23.55, -46.63, 22], [-22.91, -43.17, 13.5],
+  [-19.92, -43.94, 6.0], [-15.79, -47.88, 4.8], [-30.03, -51.23, 4.4], [-8.05, -34.88, 4.1], [-12.97, -38.50, 3.9],
+  [-3.73, -38.52, 4.1], [-25.43, -49.27, 3.7], [-34.90, -56.16, 1.8], [-16.50, -68.15, 2.0],
+  // Europe
+  [51.51, -0.13, 14], [48.86, 2.35, 13], [40.42, -3.70, 6.7], [41.39, 2.17, 5.6], [52.52, 13.40, 6.1],
+  [51.46, 7.01, 5.1], [53.55, 9.99, 3.3], [48.14, 11.58, 2.9], [50.11, 8.68, 2.7], [50.94, 6.96, 2.2],
+  [48.78, 9.18, 2.7], [45.46, 9.19, 5.3], [41.90, 12.50, 4.3], [40.85, 14.27, 3.1], [45.07, 7.69, 1.7],
+  [52.37, 4.90, 2.5], [51.92, 4.48, 1.8], [50.85, 4.35, 2.1], [48.21, 16.37, 2.9], [47.38, 8.54, 1.4],
+  [52.23, 21.01, 3.1], [50.26, 19.02, 2.2], [50.08, 14.44, 2.2], [47.50, 19.04, 3.0], [44.43, 26.10, 2.3],
+  [37.98, 23.73, 3.7], [38.72, -9.14, 2.9], [41.15, -8.61, 1.7], [53.35, -6.26, 2.0], [53.48, -2.24, 2.8],
+  [52.49, -1.89, 2.9], [55.86, -4.25, 1.8], [53.80, -1.55, 1.9], [55.68, 12.57, 2.1], [59.33, 18.07, 2.4],
+  [59.91, 10.75, 1.6], [60.17, 24.94, 1.5], [55.76, 37.62, 17], [59.93, 30.34, 6.0], [50.45, 30.52, 3.5],
+  [53.90, 27.57, 2.0], [41.01, 28.98, 15.5], [39.93, 32.86, 5.6], [38.42, 27.14, 3.0], [45.76, 4.84, 2.3],
+  [43.30, 5.37, 1.9], [50.63, 3.06, 1.2], [39.47, -0.38, 1.6], [37.39, -5.98, 1.5], [44.79, 20.45, 1.7],
+  [42.70, 23.32, 1.5],
+  // Middle East and Africa
+  [35.69, 51.39, 15], [33.31, 44.36, 7.5], [24.71, 46.68, 7.5], [21.49, 39.19, 4.7], [25.20, 55.27, 3.5],
+  [29.38, 47.99, 3.0], [32.09, 34.78, 4.2], [31.95, 35.93, 4.0], [30.04, 31.24, 21], [31.20, 29.92, 5.4],
+  [6.52, 3.38, 15], [-4.44, 15.27, 15], [-26.20, 28.05, 10], [-33.92, 18.42, 4.7], [-29.86, 31.02, 3.4],
+  [-1.29, 36.82, 5.0], [9.03, 38.74, 5.0], [-6.79, 39.21, 7.0], [15.50, 32.56, 6.0], [33.57, -7.59, 4.3],
+  [36.75, 3.06, 3.5], [36.81, 10.18, 2.5], [5.60, -0.19, 2.6], [5.36, -4.01, 5.5], [14.72, -17.47, 3.3],
+  [-8.84, 13.23, 8.0],
+  // Asia
+  [35.68, 139.69, 37], [34.69, 135.50, 19], [35.18, 136.91, 9.5], [33.59, 130.40, 5.5], [43.06, 141.35, 2.6],
+  [37.57, 126.98, 25], [35.18, 129.08, 3.4], [39.90, 116.41, 21], [39.34, 117.36, 13], [31.23, 121.47, 27],
+  [30.27, 120.16, 10], [32.06, 118.80, 9], [31.30, 120.59, 8], [23.13, 113.26, 18], [22.54, 114.06, 17],
+  [22.32, 114.17, 7.5], [29.56, 106.55, 16], [30.57, 104.07, 16], [30.59, 114.31, 11], [34.34, 108.94, 12],
+  [41.81, 123.43, 8], [45.80, 126.53, 6], [34.75, 113.63, 10], [36.65, 117.12, 8], [36.07, 120.38, 9],
+  [28.23, 112.94, 8], [25.04, 102.71, 6], [25.03, 121.57, 7], [14.60, 120.98, 14], [-6.21, 106.85, 33],
+  [-7.25, 112.75, 6], [-6.92, 107.62, 8], [13.76, 100.50, 17], [10.82, 106.63, 13], [21.03, 105.85, 8],
+  [3.14, 101.69, 8], [1.35, 103.82, 5.9], [16.87, 96.20, 5.5], [23.81, 90.41, 22], [22.57, 88.36, 15],
+  [28.61, 77.21, 32], [19.08, 72.88, 21], [12.97, 77.59, 13], [13.08, 80.27, 11.5], [17.39, 78.49, 10.5],
+  [23.02, 72.57, 8.5], [18.52, 73.86, 7], [21.17, 72.83, 7], [26.85, 80.95, 4], [26.91, 75.79, 4],
+  [24.86, 67.01, 17], [31.55, 74.34, 13], [34.56, 69.21, 4.5], [41.30, 69.24, 2.9], [43.24, 76.89, 2.0],
+  [6.93, 79.86, 2.3], [27.72, 85.32, 1.5],
+  // Oceania
+  [-33.87, 151.21, 5.3], [-37.81, 144.96, 5.1], [-27.47, 153.03, 2.6], [-31.95, 115.86, 2.1], [-34.93, 138.60, 1.4],
+  [-36.85, 174.76, 1.7],
+];
+
+// Zenith SQM (mag/arcsec²) at the dark edge of each Bortle class 1–8; darker
+// than BORTLE_LIMITS[i] is class i + 1, brighter than the last is class 9.
+const BORTLE_LIMITS = [21.99, 21.89, 21.69, 20.49, 19.50, 18.94, 18.38, 17.80];
+// Typical SQM for a class, for sites with only a Bortle class.
+const BORTLE_SQM = [22.0, 21.94, 21.79, 21.09, 20.0, 19.22, 18.66, 18.09, 17.5];
+
+const rad = (d) => (d * Math.PI) / 180;
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/** Artificial skyglow at (lat, lon) as a multiple of the natural sky. */
+function skyglow(lat, lon) {
+  let glow = 0;
+  for (const [cLat, cLon, millions] of URBAN_AREAS) {
+    const d = distanceKm(lat, lon, cLat, cLon);
+    if (d > REACH_KM) continue;
+    // Inside a city the law diverges; hold d at about half the urban radius.
+    const nearest = Math.max(d, 10, 2.75 * Math.sqrt(millions));
+    glow += 0.01 * millions * 1e6 * nearest ** -2.5;
+  }
+  return glow;
+}
+
+export const bortleFromSqm = (sqm) => {
+  const i = BORTLE_LIMITS.findIndex((limit) => sqm >= limit);
+  return i === -1 ? 9 : i + 1;
+};
+
+export const sqmFromBortle = (bortle) => BORTLE_SQM[Math.min(9, Math.max(1, Math.round(bortle))) - 1];
+
+const grid = new Map();
+
+/** Estimated zenith sky brightness (SQM, mag/arcsec²) for the 0.25° cell containing (lat, lon). */
+export function estimateSqm(lat, lon) {
+  const row = Math.floor(lat / CELL_DEG), col = Math.floor(lon / CELL_DEG);
+  const key = `${row},${col}`;
+  if (!grid.has(key)) {
+    const glow = skyglow((row + 0.5) * CELL_DEG, (col + 0.5) * CELL_DEG);
+    grid.set(key, Math.round((NATURAL_SQM - 2.5 * Math.log10(1 + glow)) * 100) / 100);
+  }
+  return grid.get(key);
+}
+
+/**
+ * A site's sky: `{ bortle, sqm, estimated }`. A Bortle class entered for the
+ * site wins; otherwise both come from the offline estimate.
+ */
+export function siteSky(site) {
+  if (site.bortle) return { bortle: site.bortle, sqm: sqmFromBortle(site.bortle), estimated: false };
+  const sqm = estimateSqm(site.lat, site.lon);
+  return { bortle: bortleFromSqm(sqm), sqm, estimated: true };
+}
+
+/**
+ * What the Milky Way looks like under a Bortle class, for Milky Way imaging:
+ * `{ level: ok|moderate|high, text }`.
+ */
+export function milkyWayOutlook(bortle) {
+  if (bortle <= 3)   return { level: "ok",       text: "Milky Way core shows structure and dust lanes" };
+  if (bortle === 4)  return { level: "ok",       text: "Milky Way clear overhead, washed out near the horizon" };
+  if (bortle === 5)  return { level: "moderate", text: "Milky Way faint — expect gradients to remove" };
+  if (bortle <= 7)   return { level: "high",     text: "Milky Way barely visible — a darker site is recommended" };
+  return                    { level: "high",     text: "Milky Way lost to sky glow — find a Bortle 4 or darker site" };
+}
@@ -0,0 +1,43 @@
+// ── Offline response store ───────────────────────────────────────────────────
+// Last successful API response per request URL, kept in IndexedDB. Forecast
+// and reverse-geocode URLs carry the site's coordinates, so this holds one
+// forecast per product per site. Storage failures are swallowed: the store is
+// a fallback, never a reason for a request to fail.
+
+const DB_NAME = "astroskies";
+const STORE   = "responses";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "url" });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, op) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx  = db.transaction(STORE, mode);
+    const req = op(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export const saveResponse = (url, data) =>
+  run("readwrite", (s) => s.put({ url, data, storedAt: Date.now() })).catch(() => {});
+
+/** `{ url, data, storedAt }` for the last stored response, or undefined. */
+export const loadResponse = (url) =>
+  run("readonly", (s) => s.get(url)).catch(() => undefined);
@@ -0,0 +1,52 @@
+// ── Planetary imaging ────────────────────────────────────────────────────────
+// Planetary imaging lives on seeing and a steady atmosphere, not transparency.
+// Each astro forecast block in the next 72 h where a planet is well up and the
+// Sun is down is scored with the planetary imaging style, weighted by the
+// planet's altitude (airmass, atmospheric dispersion); the best block is the
+// recommended slot.
+import { PLANETS, getPlanetPosition, getPlanetTimes, getSunPosition } from "./ephemeris";
+import { scoreBlock } from "./scoring";
+
+export const PLANET_MIN_ALTITUDE = 20;
+const HORIZON_HOURS = 72;
+const HOUR_MS = 3600000;
+const clamp = (v, lo = 0, hi = 1) => Math.min(hi, Math.max(lo, v));
+
+// Mercury and Venus never get far from the Sun, so they are allowed in
+// twilight; the rest need at least civil darkness.
+const SUN_LIMIT = { mercury: -0.833, venus: -0.833 };
+const DEFAULT_SUN_LIMIT = -6;
+
+/** Scored blocks in which `name` is observable, each with the planet's altitude. */
+export function planetSlots(name, blocks, lat, lon, { minAltitude = PLANET_MIN_ALTITUDE } = {}) {
+  const sunLimit = SUN_LIMIT[name] ?? DEFAULT_SUN_LIMIT;
+  const slots = [];
+  for (const b of blocks) {
+    const altitude = getPlanetPosition(name, b.time, lat, lon).altitude;
+    if (altitude < minAltitude || getSunPosition(b.time, lat, lon).altitude > sunLimit) continue;
+    const scored = scoreBlock(b, lat, lon, "planetary");
+    const height = clamp((altitude - minAltitude) / (60 - minAltitude), 0.1);
+    slots.push({ ...scored, altitude, slotScore: Math.round(scored.score * Math.sqrt(height)) });
+  }
+  return slots;
+}
+
+/**
+ * Every planet's current position, next rise/transit/set and best imaging
+ * slot in the forecast's first 72 h (`best` is null when it is never up in a
+ * dark enough sky). `blocks` are astro forecast blocks with Date times.
+ */
+export function planetaryOutlook(blocks, lat, lon, now = new Date()) {
+  const window = blocks.filter((b) => b.time >= now - 1.5 * HOUR_MS && b.time <= now.valueOf() + HORIZON_HOURS * HOUR_MS);
+  return Object.entries(PLANETS).map(([name, { label }]) => {
+    const slots = planetSlots(name, window, lat, lon);
+    const best  = slots.reduce((a, s) => (!a || s.slotScore > a.slotScore ? s : a), null);
+    return {
+      name, label,
+      position: getPlanetPosition(name, now, lat, lon),
+      times: getPlanetTimes(name, now, lat, lon),
+      slots,
+      best,
+    };
+  });
+}
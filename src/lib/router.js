@@ -0,0 +1,41 @@
+// ── Routing ──────────────────────────────────────────────────────────────────
+// Pages live in the path (/, /night, /sites, /log, /targets, /settings); the
+// shareable view state stays in the query string (see url-state), so moving
+// between pages keeps the site, units and selected night. The host serves
+// index.html for every non-API path (vercel.json).
+import { useSyncExternalStore } from "react";
+
+const listeners = new Set();
+
+function subscribe(listener) {
+  listeners.add(listener);
+  window.addEventListener("popstate", listener);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("popstate", listener);
+  };
+}
+
+const getPath = () => window.location.pathname;
+
+/** Current path; re-renders on navigate() and Back/Forward. */
+export const usePath = () => useSyncExternalStore(subscribe, getPath);
+
+/** Go to `path`, keeping the current query string. */
+export function navigate(path) {
+  const { location, history } = window;
+  if (path !== location.pathname) {
+    history.pushState(null, "", path + location.search);
+    window.scrollTo(0, 0);
+  }
+  listeners.forEach((l) => l());
+}
+
+/** Click handler for in-app links: plain left clicks navigate, the rest behave as links. */
+export function linkHandler(path) {
+  return (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(path);
+  };
+}
@@ -0,0 +1,142 @@
+// ── Imaging score ────────────────────────────────────────────────────────────
+// Rates 7Timer astro blocks 0–100. Each factor is a quality in [0, 1] and the
+// score is their weighted geometric mean, so one bad factor (clouds, daylight)
+// drags the whole block down instead of being averaged away. Weights are per
+// imaging style; a weight of 0 drops the factor entirely. The site's light
+// pollution (Bortle class) enters as one more factor.
+// Imported with extensions: the alert job (api/_lib/alerts.js) loads this under plain Node.
+import { getSunPosition, getMoonPosition, getMoonIllumination } from "./ephemeris.js";
+
+const HOUR_MS = 3600000;
+const clamp = (v, lo = 0, hi = 1) => Math.min(hi, Math.max(lo, v));
+
+export const IMAGING_STYLES = {
+  deepSky: {
+    label: "Deep-sky",
+    weights: { cloud: 3, transparency: 2, seeing: 1, stability: 0.5, humidity: 1, wind: 1, moon: 2, darkness: 3, skyGlow: 1.5 },
+  },
+  planetary: {
+    label: "Planetary",
+    weights: { cloud: 3, transparency: 0.5, seeing: 4, stability: 2, humidity: 0.5, wind: 1.5, moon: 0, darkness: 0.5, skyGlow: 0 },
+  },
+  milkyWay: {
+    label: "Milky Way",
+    weights: { cloud: 3, transparency: 2.5, seeing: 0, stability: 0, humidity: 1, wind: 0.5, moon: 3, darkness: 3, skyGlow: 2.5 },
+  },
+};
+export const DEFAULT_STYLE = "deepSky";
+
+// Blocks use the API's decoded units: cloud %, seeing arcsec, transparency
+// mag/airmass, lifted index °C, RH %, wind m/s. Missing fields yield NaN and
+// are left out of the score.
+const WIND_QUALITY = [[3.4, 1], [8, 0.85], [10.8, 0.55], [17.2, 0.3], [24.5, 0.1]];
+const num = (v) => (v == null ? NaN : v);
+
+export const FACTORS = {
+  cloud:        (b) => Math.pow(1 - clamp(num(b.cloudcover) / 100), 1.5),
+  seeing:       (b) => clamp((3 - num(b.seeing)) / 2.5, 0.05),
+  transparency: (b) => clamp((1.1 - num(b.transparency)) / 0.85, 0.05),
+  stability:    (b) => clamp((num(b.liftedIndex) + 7) / 13, 0.1),
+  humidity:     (b) => clamp(1 - (num(b.rh) - 60) / 50, 0.2),
+  wind:         (b) => b.wind?.speed == null ? NaN : WIND_QUALITY.find(([max]) => b.wind.speed < max)?.[1] ?? 0.05,
+  moon:         (b, sky) => sky.moonAltitude <= 0 ? 1 : clamp(1 - sky.moonIllumination * (0.5 + 0.5 * clamp(sky.moonAltitude / 40)), 0.05),
+  darkness:     (b, sky) => Math.pow(clamp(-sky.sunAltitude / 18), 3),
+  skyGlow:      (b, sky) => sky.bortle == null ? NaN : clamp(1 - (sky.bortle - 1) / 9, 0.1),
+};
+
+/** Sun and Moon state for the middle of a block. */
+export function skyAt(time, lat, lon) {
+  return {
+    sunAltitude: getSunPosition(time, lat, lon).altitude,
+    moonAltitude: getMoonPosition(time, lat, lon).altitude,
+    moonIllumination: getMoonIllumination(time).fraction,
+  };
+}
+
+/**
+ * Score one forecast block. `block.time` is the block's valid time; `bortle`
+ * is the site's light pollution, left out of the score when unknown.
+ */
+export function scoreBlock(block, lat, lon, style = DEFAULT_STYLE, { bortle } = {}) {
+  const { weights } = IMAGING_STYLES[style];
+  const sky = skyAt(block.time, lat, lon);
+  const factors = {};
+  let logSum = 0, weightSum = 0;
+  for (const [name, w] of Object.entries(weights)) {
+    if (!w) continue;
+    const q = FACTORS[name](block, { ...sky, bortle });
+    if (q == null || Number.isNaN(q)) continue;
+    factors[name] = q;
+    logSum += w * Math.log(Math.max(q, 1e-6));
+    weightSum += w;
+  }
+  const score = weightSum ? Math.round(100 * Math.exp(logSum / weightSum)) : 0;
+  return { ...block, ...sky, factors, score, inNight: sky.sunAltitude <= -18 };
+}
+
+export const scoreBlocks = (blocks, lat, lon, style, options) => blocks.map((b) => scoreBlock(b, lat, lon, style, options));
+
+/** Label, theme color token and icon for a 0–100 score. */
+export function scoreLabel(score) {
+  if (score >= 80) return { label: "Excellent", color: "var(--excellent)", icon: "✦" };
+  if (score >= 60) return { label: "Good",      color: "var(--good)", icon: "◉" };
+  if (score >= 40) return { label: "Fair",      color: "var(--fair)", icon: "◎" };
+  if (score >= 20) return { label: "Poor",      color: "var(--poor)", icon: "◑" };
+  return                  { label: "Bad",       color: "var(--bad)", icon: "●" };
+}
+
+/**
+ * Best contiguous run of scored blocks inside `night`'s astronomical darkness.
+ * Runs are made of blocks scoring at least `minScore`; the one with the most
+ * score-hours wins. Returns `{ start, end, score, blocks }` or null.
+ */
+export function bestWindow(scored, night, { minScore = 50, blockHours = 3 } = {}) {
+  const half = (blockHours / 2) * HOUR_MS;
+  const inNight = (b) => night.astroNight.some((n) => b.time >= n.start && b.time <= n.end);
+  let best = null, run = [];
+  const close = () => {
+    if (!run.length) return;
+    const total = run.reduce((s, b) => s + b.score, 0);
+    if (!best || total > best.total) best = { total, blocks: run };
+    run = [];
+  };
+  for (const b of scored) {
+    if (inNight(b) && b.score >= minScore) run.push(b); else close();
+  }
+  close();
+  if (!best) return null;
+  const first = best.blocks[0], last = best.blocks[best.blocks.length - 1];
+  const clip = (t) => new Date(Math.min(Math.max(t, night.astroNight[0].start), night.astroNight[night.astroNight.length - 1].end));
+  return {
+    start: clip(first.time.valueOf() - half),
+    end:   clip(last.time.valueOf() + half),
+    score: Math.round(best.total / best.blocks.length),
+    blocks: best.blocks,
+  };
+}
+
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+
+/**
+ * Per-night rollup of the scored blocks between sunset and sunrise. `score`
+ * averages the blocks in astronomical darkness (every night block if it never
+ * gets fully dark); `source` says which forecast product the blocks came from.
+ */
+export function summarizeNight(night, scored) {
+  const blocks = scored.filter((b) => b.time >= night.span.start && b.time <= night.span.end);
+  if (!blocks.length) return { ...night, blocks, score: null, source: null, best: null };
+  const dark    = blocks.filter((b) => b.inNight);
+  const temps   = blocks.map((b) => b.temp).filter((t) => t != null);
+  const clouds  = blocks.map((b) => b.cloudcover).filter((v) => v != null);
+  const sources = new Set(blocks.map((b) => b.source));
+  return {
+    ...night,
+    blocks,
+    score: Math.round(mean((dark.length ? dark : blocks).map((b) => b.score))),
+    cloudcover: clouds.length ? mean(clouds) : null,
+    high: temps.length ? Math.max(...temps) : null,
+    low:  temps.length ? Math.min(...temps) : null,
+    source: sources.size > 1 ? "mixed" : [...sources][0],
+    best: bestWindow(scored, night),
+  };
+}
@@ -0,0 +1,200 @@
+// ── Observing sessions ───────────────────────────────────────────────────────
+// A log of nights at a site: what the forecast said when the session started
+// (a snapshot, so later runs cannot rewrite it) and what the sky actually did.
+// Sessions live in localStorage and move between browsers as a JSON file; the
+// accuracy helpers compare the two halves per site.
+import { useState, useCallback } from "react";
+
+const SESSIONS_KEY = "astroskies.sessions";
+const FILE_VERSION = 1;
+
+/** Cloud cover (%) below which a night counts as clear for hit/miss. */
+export const CLEAR_BELOW = 30;
+/** Sessions in the "recent" column of the accuracy report. */
+export const RECENT_SESSIONS = 5;
+
+function loadSessions() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSIONS_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+function saveSessions(sessions) {
+  try { localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions)); } catch { /* keep it for this session */ }
+}
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+const numberOrNull = (v) => (v === "" || v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// ── Sessions ─────────────────────────────────────────────────────────────────
+/**
+ * The forecast for one night as shown now: `night` is a summarizeNight entry,
+ * `sky` the site's Bortle/SQM (the SQM to expect on a clear night).
+ */
+export function snapshotForecast(night, { astroData, civilData, sky, style }) {
+  return {
+    takenAt: new Date().toISOString(),
+    provider: astroData?.provider ?? civilData?.provider ?? null,
+    init: astroData?.init ?? civilData?.init ?? null,
+    style,
+    score: night.score,
+    source: night.source,
+    bortle: sky.bortle,
+    sqm: Number(sky.sqm.toFixed(2)),
+    blocks: night.blocks.map((b) => ({
+      time: b.time.toISOString(),
+      cloudcover: b.cloudcover ?? null,
+      seeing: b.seeing ?? null,
+      transparency: b.transparency ?? null,
+      score: b.score,
+      inNight: b.inNight,
+    })),
+  };
+}
+
+/** A new session; `night` is the site-local date key of the night observed. */
+export function createSession({ site, night, timeZone, forecast }) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    site: { name: site.name, lat: site.lat, lon: site.lon },
+    night,
+    timeZone,
+    startedAt: new Date().toISOString(),
+    forecast,
+    actual: { cloudcover: null, seeing: null, sqm: null, targets: [], notes: "" },
+  };
+}
+
+/** Form values → `actual`: blanks become null, targets a trimmed list. */
+export const sessionActual = ({ cloudcover, seeing, sqm, targets, notes }) => ({
+  cloudcover: numberOrNull(cloudcover),
+  seeing: numberOrNull(seeing),
+  sqm: numberOrNull(sqm),
+  targets: String(targets ?? "").split(",").map((t) => t.trim()).filter(Boolean),
+  notes: notes ?? "",
+});
+
+export const siteKey = (site) => `${site.lat.toFixed(3)},${site.lon.toFixed(3)}`;
+
+const newestFirst = (sessions) =>
+  sessions.sort((a, b) => b.night.localeCompare(a.night) || b.startedAt.localeCompare(a.startedAt));
+
+/** Sessions, newest night first, with `{ save, remove, importFile }`. */
+export function useSessions() {
+  const [sessions, setSessions] = useState(() => newestFirst(loadSessions()));
+
+  const commit = useCallback((update) => setSessions((prev) => {
+    const next = newestFirst(update(prev));
+    saveSessions(next);
+    return next;
+  }), []);
+
+  const save   = useCallback((session) => commit((prev) => [...prev.filter((s) => s.id !== session.id), session]), [commit]);
+  const remove = useCallback((id) => commit((prev) => prev.filter((s) => s.id !== id)), [commit]);
+
+  /** Merge sessions from an exported file; ones already here (same id) are replaced. Resolves to the count. */
+  const importFile = useCallback(async (file) => {
+    const incoming = parseSessionsFile(await file.text());
+    const ids = new Set(incoming.map((s) => s.id));
+    commit((prev) => [...prev.filter((s) => !ids.has(s.id)), ...incoming]);
+    return incoming.length;
+  }, [commit]);
+
+  return { sessions, save, remove, importFile };
+}
+
+// ── Files ────────────────────────────────────────────────────────────────────
+export const sessionsFile = (sessions) =>
+  JSON.stringify({ app: "astroskies", version: FILE_VERSION, exportedAt: new Date().toISOString(), sessions }, null, 2);
+
+const validSession = (s) =>
+  s && typeof s.id === "string"
+  && Number.isFinite(s.site?.lat) && Number.isFinite(s.site?.lon)
+  && /^\d{4}-\d{2}-\d{2}$/.test(s.night)
+  && Array.isArray(s.forecast?.blocks);
+
+// Targets as typed in the form; hand-edited files may hold a string instead of a list.
+const targetList = (targets) => (Array.isArray(targets) ? targets.join(",") : typeof targets === "string" ? targets : "");
+
+/** Sessions from an exported file (or a bare array of them); throws a displayable Error. */
+export function parseSessionsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  const sessions = Array.isArray(data) ? data : data?.sessions;
+  if (!Array.isArray(sessions)) throw new Error("No sessions in this file");
+  if (data.version > FILE_VERSION) throw new Error("This file is from a newer version of AstroSkies");
+  const bad = sessions.filter((s) => !validSession(s)).length;
+  if (bad) throw new Error(`${bad} of ${sessions.length} sessions are incomplete; nothing imported`);
+  return sessions.map((s) => ({
+    ...s,
+    site: { name: String(s.site.name ?? siteKey(s.site)), lat: s.site.lat, lon: s.site.lon },
+    startedAt: s.startedAt ?? new Date(0).toISOString(),
+    actual: sessionActual({ ...s.actual, targets: targetList(s.actual?.targets) }),
+  }));
+}
+
+// ── Accuracy ─────────────────────────────────────────────────────────────────
+/**
+ * Forecast against logged values for one session. The forecast side averages
+ * the dark blocks (all blocks if the night had none); SQM is compared with the
+ * site's clear-sky estimate. Each field is null until both sides are known.
+ */
+export function compareSession(session) {
+  const { forecast, actual } = session;
+  const dark   = forecast.blocks.filter((b) => b.inNight);
+  const blocks = dark.length ? dark : forecast.blocks;
+  const avg    = (k) => mean(blocks.map((b) => b[k]).filter((v) => v != null));
+  const pair   = (predicted, logged) =>
+    predicted != null && logged != null ? { forecast: predicted, actual: logged, error: logged - predicted } : null;
+
+  const cloud = pair(avg("cloudcover"), actual.cloudcover);
+  return {
+    cloud,
+    seeing: pair(avg("seeing"), actual.seeing),
+    sqm: pair(forecast.sqm, actual.sqm),
+    clearCall: cloud ? (cloud.forecast < CLEAR_BELOW) === (cloud.actual < CLEAR_BELOW) : null,
+    leadHours: blocks.length ? (Date.parse(blocks[0].time) - Date.parse(forecast.takenAt)) / 3600000 : null,
+  };
+}
+
+function errorStats(pairs) {
+  const errors = pairs.filter(Boolean).map((p) => p.error);
+  return errors.length ? { n: errors.length, bias: mean(errors), mae: mean(errors.map(Math.abs)) } : null;
+}
+
+/**
+ * Per-site accuracy over every logged session, most-logged site first:
+ * mean error (logged − forecast) and mean absolute error for cloud, seeing and
+ * SQM, the share of clear/cloudy calls that held, and the cloud error over the
+ * site's last RECENT_SESSIONS sessions to show whether it is drifting.
+ */
+export function siteAccuracy(sessions) {
+  const bySite = new Map();
+  for (const s of sessions) {
+    const key = siteKey(s.site);
+    if (!bySite.has(key)) bySite.set(key, { key, site: s.site, sessions: [] });
+    bySite.get(key).sessions.push({ session: s, result: compareSession(s) });
+  }
+  return [...bySite.values()].map(({ key, site, sessions: rows }) => {
+    const byNight = rows.sort((a, b) => a.session.night.localeCompare(b.session.night));
+    const calls   = byNight.map((r) => r.result.clearCall).filter((c) => c != null);
+    return {
+      key,
+      site,
+      count: byNight.length,
+      first: byNight[0].session.night,
+      last: byNight[byNight.length - 1].session.night,
+      cloud: errorStats(byNight.map((r) => r.result.cloud)),
+      recentCloud: errorStats(byNight.slice(-RECENT_SESSIONS).map((r) => r.result.cloud)),
+      seeing: errorStats(byNight.map((r) => r.result.seeing)),
+      sqm: errorStats(byNight.map((r) => r.result.sqm)),
+      clearCalls: calls.length ? { n: calls.length, held: calls.filter(Boolean).length } : null,
+    };
+  }).sort((a, b) => b.count - a.count);
+}
@@ -0,0 +1,65 @@
+// ── Saved observing sites ────────────────────────────────────────────────────
+// Sites live in localStorage so the team's dark sites survive reloads. A site
+// is a superset of the `city` object the page already passes around
+// ({ name, lat, lon }), so any site can be selected directly.
+import { useState, useCallback } from "react";
+
+const SITES_KEY = "astroskies.sites";
+const LAST_KEY  = "astroskies.lastSite";
+
+function read(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function write(key, value) {
+  try {
+    if (value == null) localStorage.removeItem(key);
+    else localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Private mode or quota exceeded: keep working from memory.
+  }
+}
+
+export const loadSites    = () => read(SITES_KEY, []);
+export const loadLastSite = () => read(LAST_KEY, null);
+export const saveLastSite = (site) => write(LAST_KEY, site && { name: site.name, lat: site.lat, lon: site.lon, id: site.id });
+
+export function createSite({ name, lat, lon, elevation = null, bortle = null, notes = "" }) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: name.trim(),
+    lat: Number(lat),
+    lon: Number(lon),
+    elevation: elevation === "" || elevation == null ? null : Number(elevation),
+    bortle: bortle === "" || bortle == null ? null : Number(bortle),
+    notes,
+  };
+}
+
+/** Same place, to within ~100 m. */
+export const sameLocation = (a, b) =>
+  !!a && !!b && Math.abs(a.lat - b.lat) < 0.001 && Math.abs(a.lon - b.lon) < 0.001;
+
+/** Saved-site list with add/update/remove, persisted on every change. */
+export function useSavedSites() {
+  const [sites, setSites] = useState(loadSites);
+
+  const commit = useCallback((update) => {
+    setSites((prev) => {
+      const next = update(prev);
+      write(SITES_KEY, next);
+      return next;
+    });
+  }, []);
+
+  const saveSite   = useCallback((site) => commit((prev) =>
+    prev.some((s) => s.id === site.id) ? prev.map((s) => (s.id === site.id ? site : s)) : [...prev, site]), [commit]);
+  const removeSite = useCallback((id) => commit((prev) => prev.filter((s) => s.id !== id)), [commit]);
+
+  return { sites, saveSite, removeSite };
+}
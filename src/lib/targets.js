@@ -0,0 +1,96 @@
+// ── Target planner ───────────────────────────────────────────────────────────
+// What to shoot on a given night: for each catalog object, its altitude curve
+// across the night, transit, time spent above a minimum altitude inside the
+// dark window, distance from the Moon and how well its surface brightness
+// stands up to the site's light pollution, rolled into a 0–100 suitability.
+import { altAz, moonCoords, separation, intervalsAbove } from "./ephemeris";
+import { totalHours } from "./dark-window";
+import { CATALOG } from "./catalog";
+
+export const DEFAULT_MIN_ALTITUDE = 30;
+export const MIN_ALTITUDES = [15, 20, 30, 40, 50, 60];  // choices offered in the UI
+
+const CURVE_STEP_MS   = 15 * 60000;
+const SIDEREAL_DAY_MS = 86164091;
+const clamp = (v, lo = 0, hi = 1) => Math.min(hi, Math.max(lo, v));
+
+export const targetAltitude = (target, date, lat, lon) => altAz(target.ra, target.dec, date, lat, lon).altitude;
+
+/** Upper transit closest to `date`. */
+export function targetTransit(target, date, lat, lon) {
+  const { hourAngle } = altAz(target.ra, target.dec, date, lat, lon);
+  return new Date(date.valueOf() - (hourAngle / 360) * SIDEREAL_DAY_MS);
+}
+
+/** `{ time, altitude }` every 15 minutes from `start` to `end`. */
+export function altitudeCurve(target, start, end, lat, lon, stepMs = CURVE_STEP_MS) {
+  const out = [];
+  for (let t = start.valueOf(); t <= end.valueOf(); t += stepMs) {
+    out.push({ time: new Date(t), altitude: targetAltitude(target, new Date(t), lat, lon) });
+  }
+  return out;
+}
+
+const overlapHours = (a, b) => totalHours(a.flatMap((x) => b
+  .filter((y) => y.start < x.end && y.end > x.start)
+  .map((y) => ({ start: Math.max(x.start, y.start), end: Math.min(x.end, y.end) }))));
+
+// Light pollution costs a diffuse target far more than a compact one: each
+// magnitude the sky is brighter than pristine (SQM 22) takes 5% off a bright,
+// compact target up to 20% off a large, faint one, graded by the target's mean
+// surface brightness (mag/arcmin²).
+function skyQuality(target, sqm) {
+  if (sqm == null || target.mag == null || !target.size) return 1;
+  const surface = target.mag + 2.5 * Math.log10((Math.PI / 4) * target.size ** 2);
+  const perMag  = 0.05 + 0.15 * clamp((surface - 11) / 4);
+  return clamp(1 - Math.max(0, 22 - sqm) * perMag, 0.1);
+}
+
+/**
+ * Plan one target for `night` (from dark-window's getNight). When the Moon is
+ * up all night there is no moonless window, so astronomical darkness is used
+ * instead and `moonlit` is set. `sqm` is the site's zenith sky brightness
+ * (light-pollution's siteSky); without it light pollution is ignored.
+ */
+export function planTarget(target, night, lat, lon, { minAltitude = DEFAULT_MIN_ALTITUDE, sqm } = {}) {
+  const moonlit = !night.dark.length;
+  const window  = moonlit ? night.astroNight : night.dark;
+  const alt     = (t) => targetAltitude(target, t, lat, lon);
+  const visible = window.flatMap((w) => intervalsAbove(alt, w.start, w.end, minAltitude));
+  const hours   = totalHours(visible);
+
+  const curve   = altitudeCurve(target, night.span.start, night.span.end, lat, lon);
+  const mid     = window.length
+    ? new Date((window[0].start.valueOf() + window[window.length - 1].end.valueOf()) / 2)
+    : new Date((night.span.start.valueOf() + night.span.end.valueOf()) / 2);
+  const transit = targetTransit(target, mid, lat, lon);
+  const inWindow = (t) => window.some((w) => t >= w.start && t <= w.end);
+  const peak = Math.max(-90, ...[
+    ...curve.filter((p) => inWindow(p.time)).map((p) => p.altitude),
+    ...(inWindow(transit) ? [alt(transit)] : []),
+  ]);
+
+  const moonAt  = visible.length ? new Date((visible[0].start.valueOf() + visible[visible.length - 1].end.valueOf()) / 2) : mid;
+  const moonSeparation = separation(target, moonCoords(moonAt));
+  const moonUpShare    = hours ? overlapHours(visible, night.moonUp) / hours : 0;
+
+  // Time up, height (airmass), Moon glare and sky glow, as a weighted geometric mean.
+  const quality = {
+    hours:    clamp(hours / Math.min(6, Math.max(1, totalHours(window)))),
+    altitude: clamp((peak - minAltitude) / (75 - minAltitude), 0.05),
+    moon:     clamp(1 - moonUpShare * night.moonIllumination * clamp(1 - (moonSeparation - 20) / 100), 0.05),
+    sky:      skyQuality(target, sqm),
+  };
+  const suitability = hours
+    ? Math.round(100 * Math.pow(quality.hours ** 2 * quality.altitude * quality.moon * quality.sky, 1 / 5))
+    : 0;
+
+  return { target, curve, transit, peak, visible, hours, moonSeparation, moonlit, skyQuality: quality.sky, suitability };
+}
+
+/** Every target planned for `night`, best first (ties go to the higher target). */
+export function planNight(night, lat, lon, { minAltitude = DEFAULT_MIN_ALTITUDE, sqm, targets = CATALOG } = {}) {
+  return targets
+    .map((t) => planTarget(t, night, lat, lon, { minAltitude, sqm }))
+    .sort((a, b) => b.suitability - a.suitability || b.hours - a.hours || b.peak - a.peak);
+}
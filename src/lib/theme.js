@@ -0,0 +1,204 @@
+// ── Themes ───────────────────────────────────────────────────────────────────
+// Every color in the UI is a token, exposed as a CSS custom property on <html>
+// (`--text`, `--accent` …) and referenced as `var(--token)` from the CSS string,
+// inline styles and chart props alike. Switching theme only swaps the values.
+// The night-vision theme is deep red on black so the screen can be read at the
+// telescope without losing dark adaptation.
+import { useState, useLayoutEffect, useCallback } from "react";
+
+const THEME_KEY = "astroskies.theme";
+
+const DEFAULT_TOKENS = {
+  "bg":                   "#060a14",
+  "bg-gradient":          "linear-gradient(160deg,#060a14 0%,#080d1e 60%,#050b16 100%)",
+  "surface":              "#0a0f22",
+  "shadow":               "rgba(0,0,0,0.7)",
+  "star":                 "#ffffff",
+  "emoji-filter":         "none",
+
+  "text":                 "#c8d8ff",
+  "text-bright":          "#e8f0ff",
+  "text-muted":           "#7090aa",
+  "text-dim":             "#4a6080",
+  "text-faint":           "#3a5070",
+  "text-ghost":           "#2a3a5a",
+  "text-label":           "#2a4060",
+  "text-footer":          "#1e2d4a",
+
+  "accent":               "#4a90ff",
+  "accent-wash":          "rgba(74,144,255,0.1)",
+  "accent-bg":            "rgba(74,144,255,0.12)",
+  "accent-bg-hover":      "rgba(74,144,255,0.22)",
+  "accent-border":        "rgba(74,144,255,0.35)",
+  "accent-border-strong": "rgba(74,144,255,0.5)",
+
+  "line-faint":           "rgba(100,140,255,0.07)",
+  "line-soft":            "rgba(100,140,255,0.12)",
+  "line":                 "rgba(100,140,255,0.2)",
+  "line-strong":          "rgba(100,140,255,0.3)",
+  "glass":                "rgba(255,255,255,0.025)",
+  "glass-strong":         "rgba(255,255,255,0.045)",
+
+  "tooltip-bg":           "rgba(10,14,28,0.97)",
+  "tooltip-border":       "#1e2d5a",
+  "tooltip-label":        "#7090dd",
+
+  "excellent":            "#00ffc8",
+  "good":                 "#a3f07f",
+  "fair":                 "#f0d97f",
+  "poor":                 "#f0a97f",
+  "bad":                  "#f07f7f",
+  "danger":               "#f07f7f",
+  "warning":              "#f0a97f",
+  "caution":              "#f0d97f",
+  "dark":                 "#00ffc8",
+  "warm":                 "#ffd07f",
+
+  "series-cloud":         "#f07f7f",
+  "series-seeing":        "#4a90ff",
+  "series-transparency":  "#00ffc8",
+  "series-score":         "#ffd07f",
+  "provider-7timer":      "#f07f7f",
+  "provider-openmeteo":   "#c08fe0",
+  "source-mixed":         "#a3c0f0",
+  "series-moon":          "#c8d8ff",
+  "target-1":             "#ffd07f",
+  "target-2":             "#c08fe0",
+  "target-3":             "#7fe0a0",
+  "target-4":             "#7fc8f0",
+
+  "dawn-astro":           "#f0a97f",
+  "dawn-nautical":        "#f0b98f",
+  "dawn-civil":           "#f0c98f",
+  "sunrise":              "#ffd07f",
+  "sunset":               "#f07f7f",
+  "dusk-civil":           "#c08fc0",
+  "dusk-nautical":        "#9f8fe0",
+  "dusk-astro":           "#7fa0f0",
+
+  "sky-day":              "#3a4a70",
+  "sky-sunset":           "#2a3560",
+  "sky-civil":            "#18214a",
+  "sky-nautical":         "#0e1430",
+  "sky-astro":            "#04060e",
+  "moon-up":              "rgba(200,216,255,0.55)",
+};
+
+// Red only: no green or blue light at all, and brightness kept low.
+const NIGHT_TOKENS = {
+  "bg":                   "#000000",
+  "bg-gradient":          "#000000",
+  "surface":              "#0a0000",
+  "shadow":               "rgba(0,0,0,0.8)",
+  "star":                 "#a01810",
+  "emoji-filter":         "grayscale(1) brightness(0.55) sepia(1) hue-rotate(-50deg) saturate(6)",
+
+  "text":                 "#d02a20",
+  "text-bright":          "#ff3a2a",
+  "text-muted":           "#a02018",
+  "text-dim":             "#801810",
+  "text-faint":           "#661208",
+  "text-ghost":           "#4a0c06",
+  "text-label":           "#661208",
+  "text-footer":          "#4a0c06",
+
+  "accent":               "#e0281c",
+  "accent-wash":          "rgba(224,40,28,0.1)",
+  "accent-bg":            "rgba(224,40,28,0.12)",
+  "accent-bg-hover":      "rgba(224,40,28,0.22)",
+  "accent-border":        "rgba(224,40,28,0.35)",
+  "accent-border-strong": "rgba(224,40,28,0.5)",
+
+  "line-faint":           "rgba(200,30,20,0.07)",
+  "line-soft":            "rgba(200,30,20,0.12)",
+  "line":                 "rgba(200,30,20,0.2)",
+  "line-strong":          "rgba(200,30,20,0.3)",
+  "glass":                "rgba(255,0,0,0.02)",
+  "glass-strong":         "rgba(255,0,0,0.04)",
+
+  "tooltip-bg":           "rgba(8,0,0,0.97)",
+  "tooltip-border":       "#4a0a0a",
+  "tooltip-label":        "#b02020",
+
+  "excellent":            "#ff3a2a",
+  "good":                 "#d83020",
+  "fair":                 "#b02818",
+  "poor":                 "#8a2014",
+  "bad":                  "#6a1a10",
+  "danger":               "#ff3a2a",
+  "warning":              "#d83020",
+  "caution":              "#b83020",
+  "dark":                 "#e0281c",
+  "warm":                 "#ff4a30",
+
+  "series-cloud":         "#ff3a2a",
+  "series-seeing":        "#a01810",
+  "series-transparency":  "#d04030",
+  "series-score":         "#801010",
+  "provider-7timer":      "#ff3a2a",
+  "provider-openmeteo":   "#a01810",
+  "source-mixed":         "#c03020",
+  "series-moon":          "#a01810",
+  "target-1":             "#ff3a2a",
+  "target-2":             "#d04030",
+  "target-3":             "#b02818",
+  "target-4":             "#e06050",
+
+  "dawn-astro":           "#801810",
+  "dawn-nautical":        "#a01c12",
+  "dawn-civil":           "#c02216",
+  "sunrise":              "#ff3a2a",
+  "sunset":               "#ff3a2a",
+  "dusk-civil":           "#c02216",
+  "dusk-nautical":        "#a01c12",
+  "dusk-astro":           "#801810",
+
+  "sky-day":              "#3a0806",
+  "sky-sunset":           "#2a0604",
+  "sky-civil":            "#1a0402",
+  "sky-nautical":         "#0e0201",
+  "sky-astro":            "#000000",
+  "moon-up":              "rgba(255,60,40,0.55)",
+};
+
+export const THEMES = {
+  default: { label: "Default",      tokens: DEFAULT_TOKENS },
+  night:   { label: "Night vision", tokens: NIGHT_TOKENS },
+};
+export const DEFAULT_THEME = "default";
+
+function loadTheme() {
+  try {
+    const name = localStorage.getItem(THEME_KEY);
+    return THEMES[name] ? name : DEFAULT_THEME;
+  } catch {
+    return DEFAULT_THEME;
+  }
+}
+
+export function applyTheme(name) {
+  const { tokens } = THEMES[name];
+  const root = document.documentElement;
+  for (const [token, value] of Object.entries(tokens)) root.style.setProperty(`--${token}`, value);
+  root.dataset.theme = name;
+  document.querySelector('meta[name="theme-color"]')?.setAttribute("content", tokens.bg);
+}
+
+/**
+ * Current theme name and a setter; the choice is persisted and applied before
+ * paint. `initial` (e.g. from the URL) wins over the stored choice; names not
+ * in THEMES fall back to the default.
+ */
+export function useTheme(initial) {
+  const [theme, setThemeState] = useState(() => (THEMES[initial] ? initial : loadTheme()));
+
+  useLayoutEffect(() => { applyTheme(theme); }, [theme]);
+
+  const setTheme = useCallback((name) => {
+    const known = THEMES[name] ? name : DEFAULT_THEME;
+    setThemeState(known);
+    try { localStorage.setItem(THEME_KEY, known); } catch { /* keep it for this session */ }
+  }, []);
+
+  return [theme, setTheme];
+}
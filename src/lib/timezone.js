@@ -0,0 +1,90 @@
+// ── Site-local time ──────────────────────────────────────────────────────────
+// Every forecast, twilight and night time is shown in the observing site's
+// IANA zone, looked up offline from its coordinates. The viewer's own zone is
+// only used for the optional side-by-side display.
+import tzlookup from "@photostructure/tz-lookup";
+
+export const VIEWER_TZ = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export function siteTimeZone(lat, lon) {
+  try {
+    return tzlookup(lat, lon);
+  } catch {
+    return VIEWER_TZ;
+  }
+}
+
+const formatters = new Map();
+function formatter(timeZone, options, locale = []) {
+  const key = timeZone + locale + JSON.stringify(options);
+  if (!formatters.has(key)) formatters.set(key, new Intl.DateTimeFormat(locale, { timeZone, ...options }));
+  return formatters.get(key);
+}
+
+// ── Display formats ──────────────────────────────────────────────────────────
+// The formatters below take the viewer's choices as a last `{ clock, dates }`
+// argument (the app passes `zones`, which carries them); left out, they follow
+// the browser's locale.
+export const CLOCKS = {
+  auto:  { label: "Browser default", options: {} },
+  "12h": { label: "12-hour",         options: { hour12: true } },
+  "24h": { label: "24-hour",         options: { hourCycle: "h23" } },
+};
+
+export const DATE_FORMATS = {
+  auto: { label: "Browser default", locale: [] },
+  dmy:  { label: "19 Oct",          locale: "en-GB" },
+  mdy:  { label: "Oct 19",          locale: "en-US" },
+  iso:  { label: "2026-10-19",      locale: [] },
+};
+
+const clockOptions = (clock) => (CLOCKS[clock] ?? CLOCKS.auto).options;
+const dateLocale = (dates) => (DATE_FORMATS[dates] ?? DATE_FORMATS.auto).locale;
+
+export const formatTime = (date, timeZone, { clock } = {}) =>
+  date ? formatter(timeZone, { hour: "2-digit", minute: "2-digit", ...clockOptions(clock) }).format(date) : "--";
+
+/** The date without the weekday: "Oct 19", "19 Oct" or "2026-10-19". */
+export const formatDate = (date, timeZone, { dates } = {}) =>
+  dates === "iso" ? dateKey(date, timeZone) : formatter(timeZone, { month: "short", day: "numeric" }, dateLocale(dates)).format(date);
+
+export const formatWeekday = (date, timeZone, { dates } = {}) =>
+  formatter(timeZone, { weekday: "short" }, dateLocale(dates)).format(date);
+
+export const formatDay = (date, timeZone, formats) =>
+  `${formatWeekday(date, timeZone, formats)}, ${formatDate(date, timeZone, formats)}`;
+
+// A bare 24-hour "21" reads as a day of the month, so it gets its minutes.
+export const formatDateHour = (date, timeZone, { clock, dates } = {}) => {
+  const hour = { hour: "2-digit", ...(clock === "24h" ? { minute: "2-digit" } : {}), ...clockOptions(clock) };
+  return `${formatDate(date, timeZone, { dates })}, ${formatter(timeZone, hour).format(date)}`;
+};
+
+/** "GMT-10", "GMT+1" … for the zone at `date`. */
+export function offsetLabel(date, timeZone) {
+  return formatter(timeZone, { timeZoneName: "shortOffset" })
+    .formatToParts(date).find((p) => p.type === "timeZoneName")?.value ?? timeZone;
+}
+
+/** Milliseconds to add to UTC to get wall-clock time in `timeZone` at `date`. */
+export function offsetMs(date, timeZone) {
+  const parts = formatter(timeZone, {
+    year: "numeric", month: "numeric", day: "numeric",
+    hour: "numeric", minute: "numeric", second: "numeric", hourCycle: "h23",
+  }).formatToParts(date);
+  const p = Object.fromEntries(parts.map(({ type, value }) => [type, Number(value)]));
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(date.valueOf() / 1000) * 1000;
+}
+
+/** Local midnight in `timeZone` of the day containing `date`. */
+export function startOfDay(date, timeZone) {
+  const wall = new Date(date.valueOf() + offsetMs(date, timeZone));
+  const midnight = Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate());
+  const guess = new Date(midnight - offsetMs(date, timeZone));
+  return new Date(midnight - offsetMs(guess, timeZone));
+}
+
+/** "2026-10-24": the calendar date of `date` in `timeZone`. */
+export const dateKey = (date, timeZone) =>
+  new Date(date.valueOf() + offsetMs(date, timeZone)).toISOString().slice(0, 10);
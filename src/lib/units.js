@@ -0,0 +1,46 @@
+// ── Units and formats ────────────────────────────────────────────────────────
+// How the viewer wants numbers, times and dates shown, kept in localStorage:
+//   temp     "C" | "F"
+//   wind     a WIND_UNITS key (format.js)
+//   seeing   a SEEING_DISPLAYS key (format.js): 1–8 classes or arcsec/mag
+//   clock    a CLOCKS key (timezone.js)
+//   dates    a DATE_FORMATS key (timezone.js)
+// Temperature also travels in the URL (`unit=F`), which wins on load.
+import { useState, useCallback } from "react";
+import { WIND_UNITS, SEEING_DISPLAYS } from "./format";
+import { CLOCKS, DATE_FORMATS } from "./timezone";
+
+const UNITS_KEY = "astroskies.units";
+
+export const DEFAULT_UNITS = { temp: "C", wind: "kmh", seeing: "scale", clock: "auto", dates: "auto" };
+
+const CHOICES = { temp: { C: true, F: true }, wind: WIND_UNITS, seeing: SEEING_DISPLAYS, clock: CLOCKS, dates: DATE_FORMATS };
+const valid = (key, value) => !!CHOICES[key]?.[value];
+
+function loadUnits() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(UNITS_KEY)) ?? {};
+    return Object.fromEntries(Object.entries(DEFAULT_UNITS).map(([k, v]) => [k, valid(k, saved[k]) ? saved[k] : v]));
+  } catch {
+    return DEFAULT_UNITS;
+  }
+}
+
+/** `[units, setUnit(key, value)]`; `initialTemp` (from the URL) wins over the stored temperature. */
+export function useUnits(initialTemp) {
+  const [units, setUnits] = useState(() => {
+    const stored = loadUnits();
+    return valid("temp", initialTemp) ? { ...stored, temp: initialTemp } : stored;
+  });
+
+  const setUnit = useCallback((key, value) => {
+    if (!valid(key, value)) return;
+    setUnits((prev) => {
+      const next = { ...prev, [key]: value };
+      try { localStorage.setItem(UNITS_KEY, JSON.stringify(next)); } catch { /* keep it for this session */ }
+      return next;
+    });
+  }, []);
+
+  return [units, setUnit];
+}
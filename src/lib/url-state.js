@@ -0,0 +1,51 @@
+// ── URL state ────────────────────────────────────────────────────────────────
+// The shareable part of the view lives in the query string:
+//   ?lat=19.8207&lon=-155.4681&name=Mauna+Kea&unit=F&night=2026-10-24&theme=night
+// Switching site pushes a history entry (so Back returns to the previous
+// site); everything else replaces the current one.
+
+const COORD_DIGITS = 4;  // ~10 m
+
+const round = (v) => Number(Number(v).toFixed(COORD_DIGITS));
+
+/** Whatever the URL specifies: `{ city, unit, night, theme }`, each possibly undefined. */
+export function readUrlState(search = window.location.search) {
+  const q = new URLSearchParams(search);
+  const lat = parseFloat(q.get("lat")), lon = parseFloat(q.get("lon"));
+  const validSite = Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  return {
+    city: validSite ? { name: q.get("name") || `${lat.toFixed(2)}, ${lon.toFixed(2)}`, lat, lon } : undefined,
+    unit: q.get("unit") || undefined,
+    night: /^\d{4}-\d{2}-\d{2}$/.test(q.get("night") ?? "") ? q.get("night") : undefined,
+    theme: q.get("theme") || undefined,
+  };
+}
+
+export function buildSearch({ city, unit, night, theme }) {
+  const q = new URLSearchParams();
+  if (city) {
+    q.set("lat", round(city.lat));
+    q.set("lon", round(city.lon));
+    if (city.name) q.set("name", city.name);
+  }
+  if (unit)  q.set("unit", unit);
+  if (night) q.set("night", night);
+  if (theme) q.set("theme", theme);
+  const s = q.toString();
+  return s ? `?${s}` : "";
+}
+
+const siteKey = (search) => {
+  const q = new URLSearchParams(search);
+  return `${q.get("lat")},${q.get("lon")}`;
+};
+
+/** Write `state` to the URL; a no-op when nothing changed (e.g. after Back). */
+export function writeUrlState(state) {
+  const search = buildSearch(state);
+  const { location, history } = window;
+  if (search === location.search) return;
+  const url = location.pathname + search + location.hash;
+  if (location.search && siteKey(search) !== siteKey(location.search)) history.pushState(null, "", url);
+  else history.replaceState(null, "", url);
+}
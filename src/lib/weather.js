@@ -0,0 +1,80 @@
+// ── Surface weather ──────────────────────────────────────────────────────────
+// Derived quantities the providers do not report directly.
+
+/**
+ * Dew point (°C) from temperature (°C) and relative humidity (%), by the
+ * Magnus formula (Alduchov & Eskridge coefficients; within ~0.4 °C from
+ * −40 to 50 °C). Null when either input is missing.
+ */
+export function dewPoint(temp, rh) {
+  if (temp == null || rh == null || rh <= 0) return null;
+  const a = 17.625, b = 243.04;
+  const g = Math.log(Math.min(rh, 100) / 100) + (a * temp) / (b + temp);
+  return (b * g) / (a - g);
+}
+
+export const PRECIP_LABELS = { none: "–", rain: "Rain", snow: "Snow", frzr: "Freezing rain", icep: "Ice pellets" };
+
+// ── Equipment warnings ───────────────────────────────────────────────────────
+// Per-block hazards for the gear, judged against an equipment profile's
+// thresholds (see equipment.js): dew on optics, wind shake, cold batteries and
+// precipitation. Temperatures in °C, wind in m/s.
+const LEVELS = ["low", "moderate", "high"];
+const CALMING_WIND = 5;  // m/s; a steady breeze keeps optics above the dew point
+
+/**
+ * Dew risk from the temperature–dew-point spread: "high" within half the
+ * profile's spread (or RH ≥ 95 %), "moderate" within it, else "low"; one
+ * level lower in a steady breeze. Null without temperature or humidity.
+ */
+export function dewRisk(block, { dewSpread }) {
+  const dew = dewPoint(block.temp, block.rh);
+  if (dew == null) return null;
+  const spread = block.temp - dew;
+  let level = spread <= dewSpread / 2 || block.rh >= 95 ? 2 : spread <= dewSpread ? 1 : 0;
+  if (level && block.wind?.speed >= CALMING_WIND) level--;
+  return { level: LEVELS[level], dewPoint: dew, spread };
+}
+
+/** Warnings for one block: `[{ kind: "dew" | "wind" | "freezing" | "precip", level, value }]`. */
+export function blockWarnings(block, thresholds) {
+  const out = [];
+  const dew = dewRisk(block, thresholds);
+  if (dew && dew.level !== "low") out.push({ kind: "dew", level: dew.level, value: dew.spread });
+  if (block.wind?.speed != null && block.wind.speed > thresholds.windMax) {
+    out.push({ kind: "wind", level: block.wind.speed > thresholds.windMax * 1.5 ? "high" : "moderate", value: block.wind.speed });
+  }
+  if (block.temp != null && block.temp <= thresholds.freezeAt) {
+    out.push({ kind: "freezing", level: block.temp <= thresholds.freezeAt - 10 ? "high" : "moderate", value: block.temp });
+  }
+  if (block.precType && block.precType !== "none") out.push({ kind: "precip", level: "high", value: block.precType });
+  return out;
+}
+
+// Which of two values is the more severe, per kind.
+const WORSE = {
+  dew:      (a, b) => b < a,  // narrower spread
+  wind:     (a, b) => b > a,
+  freezing: (a, b) => b < a,
+  precip:   () => false,
+};
+
+/**
+ * Each kind of warning raised over `blocks` (e.g. a night's), at its worst
+ * level and value, with the time of the first block that raised it:
+ * `[{ kind, level, value, time }]`.
+ */
+export function worstWarnings(blocks, thresholds) {
+  const worst = new Map();
+  for (const b of blocks) {
+    for (const w of blockWarnings(b, thresholds)) {
+      const prev = worst.get(w.kind);
+      worst.set(w.kind, prev ? {
+        ...prev,
+        level: LEVELS.indexOf(w.level) > LEVELS.indexOf(prev.level) ? w.level : prev.level,
+        value: WORSE[w.kind](prev.value, w.value) ? w.value : prev.value,
+      } : { ...w, time: b.time });
+    }
+  }
+  return [...worst.values()];
+}
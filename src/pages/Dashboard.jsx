@@ -0,0 +1,66 @@
+// ── Dashboard ─────────────────────────────────────────────────────────────────
+// Conditions now, the Moon and twilight, the 48-hour chart, the 7-night grid
+// and the planets.
+import { useMemo } from "react";
+import { forecastBlocks } from "../lib/blocks";
+import { planetaryOutlook } from "../lib/planets";
+import { navigate } from "../lib/router";
+import ConditionsCard from "../components/ConditionsCard";
+import MoonCard from "../components/MoonCard";
+import TwilightCard from "../components/TwilightCard";
+import ForecastChart from "../components/ForecastChart";
+import NightGrid from "../components/NightGrid";
+import PlanetsCard from "../components/PlanetsCard";
+import Loading from "../components/Loading";
+import ForecastError from "../components/ForecastError";
+
+export default function Dashboard({
+  city, sky, units, style, zones, equipment, forecast, scored, nights, nightly, nightIndex, onSelectNight,
+  moonLimit, onMoonLimit, minAltitude, pinnedTargets, onTogglePin,
+}) {
+  const { astroData, civilData, loading, errors, pending, load, loadProduct } = forecast;
+
+  const planets = useMemo(
+    () => astroData ? planetaryOutlook(forecastBlocks(astroData, "astro"), city.lat, city.lon) : [],
+    [astroData, city],
+  );
+
+  if (loading) return <Loading text="Scanning the skies…" />;
+  if (errors.astro && errors.civil) return <ForecastError error={errors.astro} onRetry={load} />;
+
+  // 48-hour chart data (16 points × 3h = 48h)
+  const chartBlocks = scored.slice(0, 16);
+
+  return (
+    <div style={{ animation: "fadeUp 0.5s ease" }}>
+
+      {/* Top info grid: conditions | moon | twilight */}
+      <div className="top-grid">
+        <ConditionsCard
+          current={scored[0]} best={nightly[0]?.best} temp={civilData?.blocks?.[0]?.temp}
+          units={units} style={style} zones={zones} sky={sky} equipment={equipment}
+          error={errors.astro ?? errors.civil} pending={pending.astro} onRetry={() => loadProduct("astro")}
+        />
+        <MoonCard city={city} zones={zones} moonLimit={moonLimit} onMoonLimit={onMoonLimit} />
+        <TwilightCard city={city} tonight={nights[0]} zones={zones} />
+      </div>
+
+      <ForecastChart
+        blocks={chartBlocks} astroData={astroData} city={city} zones={zones} units={units} style={style} nights={nights}
+        error={errors.astro} pending={pending.astro} onRetry={() => loadProduct("astro")}
+        pinnedTargets={pinnedTargets} onTogglePin={onTogglePin} minAltitude={minAltitude}
+      />
+
+      <NightGrid
+        nightly={nightly} scored={scored} city={city} style={style}
+        nightIndex={nightIndex} zones={zones} units={units} equipment={equipment}
+        onSelectNight={(i) => { onSelectNight(i); navigate("/night"); }}
+        error={errors.civil} pending={pending.civil} onRetry={() => loadProduct("civil")}
+      />
+
+      {planets.length > 0 && (
+        <PlanetsCard outlook={planets} zones={zones} units={units} hasSeeing={astroData.blocks.some((b) => b.seeing != null)} />
+      )}
+    </div>
+  );
+}
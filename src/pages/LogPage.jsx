@@ -0,0 +1,167 @@
+// ── Observing Log ─────────────────────────────────────────────────────────────
+// Sessions at a site: starting one keeps a copy of the forecast for that night,
+// then the observer records what the sky actually did. The report below shows
+// how far each site's forecasts can be trusted.
+import { useState } from "react";
+import { useSessions, createSession, snapshotForecast, compareSession, siteAccuracy, sessionsFile, siteKey, CLEAR_BELOW, RECENT_SESSIONS } from "../lib/sessions";
+import { downloadText } from "../lib/export";
+import { dateKey, formatDay } from "../lib/timezone";
+import { scoreLabel } from "../lib/scoring";
+import SessionForm from "../components/SessionForm";
+
+const num = (v, digits = 0) => (v == null ? "–" : v.toFixed(digits));
+const signed = (v, digits = 0) => (v == null ? "–" : `${v > 0 ? "+" : ""}${v.toFixed(digits)}`);
+const pairCell = (p, digits) => (p ? `${num(p.forecast, digits)} → ${num(p.actual, digits)}` : "–");
+const statCell = (s, digits) => (s ? `${signed(s.bias, digits)} · ±${num(s.mae, digits)}` : "–");
+
+export default function LogPage({ city, sky, style, zones, nightly, nightIndex, onSelectNight, forecast }) {
+  const { sessions, save, remove, importFile } = useSessions();
+  const [editing, setEditing] = useState(null);  // session whose conditions are being entered
+  const [message, setMessage] = useState(null);  // { text, error } from the last import
+
+  const night    = nightly[nightIndex];
+  const nightId  = night && dateKey(night.date, zones.site);
+  const existing = sessions.find((s) => s.night === nightId && siteKey(s.site) === siteKey(city));
+  const report   = siteAccuracy(sessions);
+  const keyDay   = (key) => formatDay(new Date(`${key}T12:00:00Z`), "UTC", zones);
+
+  const start = () => {
+    const session = createSession({
+      site: city, night: nightId, timeZone: zones.site,
+      forecast: snapshotForecast(night, { astroData: forecast.astroData, civilData: forecast.civilData, sky, style }),
+    });
+    save(session);
+    setEditing(session);
+  };
+
+  const onImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const count = await importFile(file);
+      setMessage({ text: `Imported ${count} session${count === 1 ? "" : "s"}` });
+    } catch (err) {
+      setMessage({ text: err.message, error: true });
+    }
+  };
+
+  return (
+    <div style={{ animation: "fadeUp 0.5s ease" }}>
+      <div className="card" style={{ marginBottom: 20 }}>
+        <p className="card-label">Observing Log</p>
+        <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 14px", fontFamily: "Space Mono,monospace" }}>
+          Stored in this browser · starting a session keeps the forecast as shown now, to compare with what you log
+        </p>
+
+        <div className="sites-bar" style={{ marginBottom: 12 }}>
+          {nightly.map((n, i) => (
+            <button key={i} className={`chip ${i === nightIndex ? "chip-active" : ""}`} onClick={() => onSelectNight(i)}>
+              {i === 0 ? "Tonight" : formatDay(n.date, zones.site, zones)}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 8, alignItems: "center" }}>
+          {existing
+            ? <button className="chip" onClick={() => setEditing(existing)}>✎ Log conditions at {city.name}</button>
+            : (
+              <button className="chip chip-active" disabled={!night?.blocks.length || forecast.loading} onClick={start}
+                title={night?.blocks.length ? "Snapshot this night's forecast and start logging" : "No forecast for this night yet"}>
+                + Start session at {city.name}
+              </button>
+            )}
+          <span style={{ flex: 1 }} />
+          <button className="chip" disabled={!sessions.length}
+            onClick={() => downloadText("astroskies-sessions.json", sessionsFile(sessions), "application/json")}>
+            ⤓ Export
+          </button>
+          <label className="chip" style={{ cursor: "pointer" }}>
+            ⤒ Import
+            <input type="file" accept="application/json,.json" onChange={onImport} hidden />
+          </label>
+        </div>
+        {message && (
+          <p className="setting-hint" style={{ color: message.error ? "var(--danger)" : undefined }}>
+            {message.error ? "⚠ " : ""}{message.text}
+          </p>
+        )}
+
+        {editing && (
+          <SessionForm key={editing.id} session={editing} onSave={(s) => { save(s); setEditing(null); }} onCancel={() => setEditing(null)} />
+        )}
+
+        {sessions.length > 0 && (
+          <div style={{ overflowX: "auto", marginTop: 14 }}>
+            <table className="compare-table planner-table">
+              <thead>
+                <tr>
+                  <th>Night</th><th>Site</th><th>Forecast</th><th>Cloud %</th><th>Seeing ″</th><th>SQM</th><th>Targets</th><th>Notes</th><th />
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((s) => {
+                  const result = compareSession(s);
+                  const cond = s.forecast.score != null ? scoreLabel(s.forecast.score) : null;
+                  return (
+                    <tr key={s.id}>
+                      <td style={{ textAlign: "left" }}>{keyDay(s.night)}</td>
+                      <td>{s.site.name}</td>
+                      <td style={{ color: cond?.color }} title={`Forecast run ${s.forecast.init ?? "unknown"}, taken ${num(result.leadHours)} h ahead`}>
+                        {cond ? `${cond.icon} ${s.forecast.score}` : "–"}
+                      </td>
+                      <td>{pairCell(result.cloud, 0)}</td>
+                      <td>{pairCell(result.seeing, 1)}</td>
+                      <td>{pairCell(result.sqm, 2)}</td>
+                      <td style={{ whiteSpace: "normal" }}>{s.actual.targets.join(", ") || "–"}</td>
+                      <td style={{ whiteSpace: "normal", textAlign: "left" }}>{s.actual.notes}</td>
+                      <td>
+                        <button className="chip" onClick={() => setEditing(s)}>✎</button>{" "}
+                        <button className="chip" onClick={() => { remove(s.id); if (editing?.id === s.id) setEditing(null); }} title="Delete session">×</button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <p className="card-label">Forecast Accuracy</p>
+        <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 14px", fontFamily: "Space Mono,monospace" }}>
+          Logged minus forecast · ± mean absolute error · clear calls: forecast and logged both above or both below {CLEAR_BELOW}% cloud ·
+          FWHM includes optics and guiding, so it reads above the forecast seeing
+        </p>
+        {report.length > 0 ? (
+          <div style={{ overflowX: "auto" }}>
+            <table className="compare-table planner-table">
+              <thead>
+                <tr>
+                  <th>Site</th><th>Sessions</th><th>Cloud %</th><th>Last {RECENT_SESSIONS}</th><th>Clear calls</th><th>Seeing ″</th><th>SQM</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.map((r) => (
+                  <tr key={r.key}>
+                    <td style={{ textAlign: "left" }}>{r.site.name}</td>
+                    <td title={`${keyDay(r.first)} – ${keyDay(r.last)}`}>{r.count}</td>
+                    <td>{statCell(r.cloud, 0)}</td>
+                    <td>{statCell(r.recentCloud, 0)}</td>
+                    <td>{r.clearCalls ? `${r.clearCalls.held}/${r.clearCalls.n} · ${Math.round(r.clearCalls.held / r.clearCalls.n * 100)}%` : "–"}</td>
+                    <td>{statCell(r.seeing, 1)}</td>
+                    <td>{statCell(r.sqm, 2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p style={{ textAlign: "center", color: "var(--text-dim)", fontSize: 12, fontFamily: "Space Mono,monospace" }}>
+            Log a few sessions to see how the forecast holds up at your sites
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
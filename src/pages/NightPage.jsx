@@ -0,0 +1,81 @@
+// ── Night ─────────────────────────────────────────────────────────────────────
+// One night from sunset to sunrise: twilight, the dark window, the Moon and
+// the forecast summary, then every forecast block from sunset to sunrise. The
+// night is the one selected in the URL (?night=).
+import { scoreLabel } from "../lib/scoring";
+import { worstWarnings } from "../lib/weather";
+import { formatDay } from "../lib/timezone";
+import { fmt, formatHours } from "../lib/format";
+import Clock from "../components/Clock";
+import NightTimeline from "../components/NightTimeline";
+import HourlyTable from "../components/HourlyTable";
+import Warnings from "../components/Warnings";
+import Loading from "../components/Loading";
+import ForecastError from "../components/ForecastError";
+
+export default function NightPage({ nightly, nightIndex, onSelectNight, zones, units, equipment, forecast }) {
+  const { loading, errors, load } = forecast;
+  if (loading) return <Loading text="Scanning the skies…" />;
+  if (errors.astro && errors.civil) return <ForecastError error={errors.astro} onRetry={load} />;
+
+  const night = nightly[nightIndex];
+  if (!night) return null;
+  const cond  = night.score != null ? scoreLabel(night.score) : null;
+  const row   = (label, value, color = "var(--text)", key = label) => (
+    <div key={key} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 }}>
+      <span style={{ color: "var(--text-dim)", fontSize: 12 }}>{label}</span>
+      <span style={{ fontFamily: "Space Mono,monospace", color, fontSize: 12, whiteSpace: "nowrap" }}>{value}</span>
+    </div>
+  );
+
+  return (
+    <div style={{ animation: "fadeUp 0.5s ease" }}>
+      <div className="sites-bar" style={{ marginBottom: 14 }}>
+        {nightly.map((n, i) => (
+          <button key={i} className={`chip ${i === nightIndex ? "chip-active" : ""}`} onClick={() => onSelectNight(i)}>
+            {i === 0 ? "Tonight" : formatDay(n.date, zones.site, zones)}
+          </button>
+        ))}
+      </div>
+
+      <div className="card">
+        <p className="card-label">{nightIndex === 0 ? "Tonight" : `${formatDay(night.date, zones.site, zones)} night`}</p>
+        <p style={{ fontFamily: "Space Mono,monospace", fontSize: 13, margin: "8px 0 14px", color: cond?.color ?? "var(--text-dim)" }}>
+          {cond ? `${cond.icon} ${cond.label} · score ${night.score}` : "No forecast for this night"}
+          {night.best && <> · best <Clock date={night.best.start} zones={zones} /> – <Clock date={night.best.end} zones={zones} /></>}
+        </p>
+        <NightTimeline night={night} zones={zones} height={16} />
+        <div style={{ marginTop: 12 }}>
+          <Warnings warnings={worstWarnings(night.blocks, equipment.thresholds)} units={units} zones={zones} />
+        </div>
+        <div className="night-summary">
+          <div>
+            {row("Sunset", <Clock date={night.sunset} zones={zones} />, "var(--sunset)")}
+            {row("Astro. dusk", <Clock date={night.astronomicalDusk} zones={zones} />, "var(--dusk-astro)")}
+            {row("Astro. dawn", <Clock date={night.astronomicalDawn} zones={zones} />, "var(--dawn-astro)")}
+            {row("Sunrise", <Clock date={night.sunrise} zones={zones} />, "var(--sunrise)")}
+          </div>
+          <div>
+            {row("Moonless dark", formatHours(night.darkHours), "var(--dark)")}
+            {night.dark.map((d, i) => row("", <><Clock date={d.start} zones={zones} /> – <Clock date={d.end} zones={zones} /></>, "var(--text-muted)", "dark" + i))}
+            {row("Moon", `${Math.round(night.moonIllumination * 100)}% illuminated`)}
+          </div>
+          {cond && (
+            <div>
+              {night.cloudcover != null && row("Cloud cover", `${Math.round(night.cloudcover)}%`)}
+              {night.low != null && row("Temperature", `${fmt(night.low, units.temp)} – ${fmt(night.high, units.temp)}`)}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card" style={{ marginTop: 20 }}>
+        <p className="card-label">Hour by Hour</p>
+        <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 12px", fontFamily: "Space Mono,monospace" }}>
+          3-hour forecast blocks · best window highlighted · twilight and daylight dimmed · dew point estimated from temperature and RH
+        </p>
+        <HourlyTable night={night} units={units} zones={zones} equipment={equipment} />
+      </div>
+    </div>
+  );
+}
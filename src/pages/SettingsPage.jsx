@@ -0,0 +1,122 @@
+// ── Settings ──────────────────────────────────────────────────────────────────
+import { THEMES } from "../lib/theme";
+import { IMAGING_STYLES } from "../lib/scoring";
+import { MOON_LIMITS } from "../lib/dark-window";
+import { MIN_ALTITUDES } from "../lib/targets";
+import { EQUIPMENT_PROFILES } from "../lib/equipment";
+import { WIND_UNITS, SEEING_DISPLAYS, windSpeed, windToMs } from "../lib/format";
+import { CLOCKS, DATE_FORMATS } from "../lib/timezone";
+
+function Setting({ label, hint, children }) {
+  return (
+    <label className="setting">
+      <span>
+        {label}
+        {hint && <span className="setting-hint">{hint}</span>}
+      </span>
+      {children}
+    </label>
+  );
+}
+
+// Threshold inputs: shown in the chosen units, stored in °C and m/s.
+const oneDecimal = (v) => Number(v.toFixed(1));
+const thresholdFields = ({ temp, wind }) => [
+  {
+    key: "dewSpread", label: "Dew warning spread", unit: `°${temp}`, hint: "Temperature minus dew point", step: 0.5,
+    ...(temp === "F" && { toDisplay: (v) => oneDecimal(v * 9 / 5), fromDisplay: (v) => v * 5 / 9 }),
+  },
+  {
+    key: "windMax", label: "Wind limit", unit: WIND_UNITS[wind].short ?? WIND_UNITS[wind].label, step: 1,
+    toDisplay: (v) => windSpeed(v, wind), fromDisplay: (v) => windToMs(v, wind),
+  },
+  {
+    key: "freezeAt", label: "Freezing below", unit: `°${temp}`, hint: "Batteries lose capacity in the cold", step: 1,
+    ...(temp === "F" && { toDisplay: (v) => oneDecimal(v * 9 / 5 + 32), fromDisplay: (v) => (v - 32) * 5 / 9 }),
+  },
+];
+
+export default function SettingsPage({ settings, onChange, units, onUnit, equipment, equipmentActions }) {
+  const { theme, style, moonLimit, minAltitude, dualTime } = settings;
+  const set = (key, parse = (v) => v) => (e) => onChange(key, parse(e.target.value));
+  const setUnit = (key) => (e) => onUnit(key, e.target.value);
+
+  return (
+    <div className="card" style={{ animation: "fadeUp 0.5s ease" }}>
+      <p className="card-label">Settings</p>
+      <div className="settings-grid">
+        <Setting label="Theme" hint="Night vision is red on black, to keep your dark adaptation">
+          <select value={theme} onChange={set("theme")} className="mini-select">
+            {Object.entries(THEMES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </Setting>
+        <Setting label="Temperature">
+          <select value={units.temp} onChange={setUnit("temp")} className="mini-select">
+            <option value="C">°C</option>
+            <option value="F">°F</option>
+          </select>
+        </Setting>
+        <Setting label="Wind speed">
+          <select value={units.wind} onChange={setUnit("wind")} className="mini-select">
+            {Object.entries(WIND_UNITS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </Setting>
+        <Setting label="Seeing and transparency" hint="7Timer's classes, or the arcseconds and extinction they stand for">
+          <select value={units.seeing} onChange={setUnit("seeing")} className="mini-select">
+            {Object.entries(SEEING_DISPLAYS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </Setting>
+        <Setting label="Time">
+          <select value={units.clock} onChange={setUnit("clock")} className="mini-select">
+            {Object.entries(CLOCKS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </Setting>
+        <Setting label="Dates">
+          <select value={units.dates} onChange={setUnit("dates")} className="mini-select">
+            {Object.entries(DATE_FORMATS).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </Setting>
+        <Setting label="Imaging style" hint="Weights seeing, transparency and the Moon in every score">
+          <select value={style} onChange={set("style")} className="mini-select">
+            {Object.entries(IMAGING_STYLES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </Setting>
+        <Setting label="Ignore Moon below" hint="A thin Moon does not end the dark window">
+          <select value={moonLimit} onChange={set("moonLimit", Number)} className="mini-select">
+            {MOON_LIMITS.map((v) => <option key={v} value={v}>{v ? `${v * 100}%` : "never"}</option>)}
+          </select>
+        </Setting>
+        <Setting label="Target minimum altitude">
+          <select value={minAltitude} onChange={set("minAltitude", Number)} className="mini-select">
+            {MIN_ALTITUDES.map((v) => <option key={v} value={v}>{v}°</option>)}
+          </select>
+        </Setting>
+        <Setting label="Equipment" hint="Sets the thresholds for dew, wind and cold warnings">
+          <select value={equipment.profile} onChange={(e) => equipmentActions.setProfile(e.target.value)} className="mini-select">
+            {Object.entries(EQUIPMENT_PROFILES).map(([k, v]) => <option key={k} value={k}>{v.label}</option>)}
+          </select>
+        </Setting>
+        {thresholdFields(units).map(({ key, label, unit: fieldUnit, hint, step, toDisplay = (v) => v, fromDisplay = (v) => v }) => (
+          <Setting key={key} label={label} hint={hint}>
+            <span>
+              <input
+                type="number" step={step} className="mini-select" style={{ width: 72 }}
+                value={toDisplay(equipment.thresholds[key])}
+                onChange={(e) => e.target.value !== "" && equipmentActions.setThreshold(key, fromDisplay(Number(e.target.value)))}
+              /> {fieldUnit}
+            </span>
+          </Setting>
+        ))}
+        {Object.keys(equipment.overrides).length > 0 && (
+          <div className="setting">
+            <span className="setting-hint">Adjusted from the {equipment.label} defaults</span>
+            <button className="chip" onClick={equipmentActions.reset}>Reset</button>
+          </div>
+        )}
+        <Setting label="Show your own time" hint="Alongside site-local times, when the site is in another time zone">
+          <input type="checkbox" checked={dualTime} onChange={(e) => onChange("dualTime", e.target.checked)} />
+        </Setting>
+      </div>
+    </div>
+  );
+}
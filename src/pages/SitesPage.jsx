@@ -0,0 +1,89 @@
+// ── Sites ─────────────────────────────────────────────────────────────────────
+// Saved observing sites: add and edit them by coordinates, set clear-sky
+// alerts or subscribe to a calendar of their good nights, and compare their
+// nights side by side.
+import { useState } from "react";
+import { sameLocation } from "../lib/sites";
+import { useAlerts, pushSupported } from "../lib/alerts";
+import { calendarFeedUrl } from "../lib/forecast";
+import SiteForm from "../components/SiteForm";
+import AlertForm from "../components/AlertForm";
+import SiteComparison from "../components/SiteComparison";
+
+export default function SitesPage({ sites, city, style, moonLimit, zones, onSelect, onSave, onRemove }) {
+  const [editing, setEditing]   = useState(null);  // site being edited, {} for a new one
+  const [alerting, setAlerting] = useState(null);  // site whose alert is being set up
+  const [alerts, alertActions]  = useAlerts();
+  const canAlert = pushSupported();
+
+  const save = (site) => { onSave(site); setEditing(null); };
+  const remove = (site) => {
+    onRemove(site.id);
+    if (alerts[site.id]) alertActions.unsubscribe(site).catch(() => { /* the server drops it once pushes fail */ });
+  };
+
+  return (
+    <div style={{ animation: "fadeUp 0.5s ease" }}>
+      <div className="card" style={{ marginBottom: 20 }}>
+        <p className="card-label">Saved Sites</p>
+        <p style={{ color: "var(--text-ghost)", fontSize: 11, margin: "4px 0 14px", fontFamily: "Space Mono,monospace" }}>
+          Stored in this browser · select one to see its forecast · 📅 subscribes a calendar app to its good nights
+        </p>
+        {sites.length > 0 && (
+          <div style={{ overflowX: "auto" }}>
+            <table className="compare-table planner-table">
+              <thead>
+                <tr><th>Site</th><th>Latitude</th><th>Longitude</th><th>Elevation</th><th>Bortle</th><th>Notes</th>{canAlert && <th>Alert</th>}<th /></tr>
+              </thead>
+              <tbody>
+                {sites.map((s) => (
+                  <tr key={s.id} className={sameLocation(s, city) ? "rank-1" : undefined}>
+                    <td className="compare-site" onClick={() => onSelect(s)}>{s.name}</td>
+                    <td>{s.lat.toFixed(4)}</td>
+                    <td>{s.lon.toFixed(4)}</td>
+                    <td>{s.elevation != null ? `${s.elevation} m` : "–"}</td>
+                    <td>{s.bortle ?? "–"}</td>
+                    <td style={{ whiteSpace: "normal", textAlign: "left" }}>{s.notes}</td>
+                    {canAlert && (
+                      <td>
+                        <button className={`chip ${alerts[s.id] ? "chip-active" : ""}`} onClick={() => { setAlerting(s); setEditing(null); }}
+                          title={alerts[s.id] ? "Change clear-sky alert" : "Set up a clear-sky alert"}>
+                          {alerts[s.id] ? `🔔 ≥${alerts[s.id].minScore} · ${alerts[s.id].minHours} h` : "🔕"}
+                        </button>
+                      </td>
+                    )}
+                    <td>
+                      <a className="chip" href={calendarFeedUrl(s, style)} title="Subscribe to this site's good imaging windows in your calendar">📅</a>{" "}
+                      <button className="chip" onClick={() => { setEditing(s); setAlerting(null); }}>✎</button>{" "}
+                      <button className="chip" onClick={() => remove(s)} title="Remove site">×</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {!editing && !alerting && (
+          <button className="chip" style={{ marginTop: 12 }} onClick={() => setEditing({})}>+ Add site</button>
+        )}
+        {editing && (
+          <SiteForm key={editing.id ?? "new"} initial={editing} onSave={save} onCancel={() => setEditing(null)} />
+        )}
+        {alerting && (
+          <AlertForm
+            key={alerting.id} site={alerting} alert={alerts[alerting.id]} style={alerts[alerting.id]?.style ?? style}
+            onSubscribe={alertActions.subscribe} onUnsubscribe={alertActions.unsubscribe} onClose={() => setAlerting(null)}
+          />
+        )}
+      </div>
+
+      {sites.length > 1
+        ? <SiteComparison sites={sites} style={style} moonLimit={moonLimit} zones={zones} onSelect={onSelect} />
+        : (
+          <p style={{ textAlign: "center", color: "var(--text-dim)", fontSize: 12, fontFamily: "Space Mono,monospace" }}>
+            Save at least two sites to compare them night by night
+          </p>
+        )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// ── Targets ───────────────────────────────────────────────────────────────────
+// What to shoot on the selected night; pinned targets go on the dashboard's
+// altitude chart.
+import TargetPlanner from "../components/TargetPlanner";
+import Link from "../components/Link";
+
+export default function TargetsPage({ city, sky, nights, nightIndex, onSelectNight, zones, minAltitude, onMinAltitude, pinned, onTogglePin }) {
+  return (
+    <div style={{ animation: "fadeUp 0.5s ease" }}>
+      <TargetPlanner
+        city={city} sky={sky} nights={nights} nightIndex={nightIndex} onSelectNight={onSelectNight} zones={zones}
+        minAltitude={minAltitude} onMinAltitude={onMinAltitude}
+        pinned={pinned} onTogglePin={onTogglePin}
+      />
+      {pinned.length > 0 && (
+        <p style={{ marginTop: 10, color: "var(--text-ghost)", fontSize: 11, fontFamily: "Space Mono,monospace" }}>
+          {pinned.length} pinned · see them against the forecast on the <Link to="/">dashboard</Link>
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+// Alert configuration: where subscriptions are stored and who may run the check.
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createSubscriptionStore } from "../api/_lib/subscriptions.js";
+import { checkAlerts, evaluateAlert } from "../api/_lib/alerts.js";
+import { overlapHours } from "../src/lib/dark-window.js";
+import runHandler from "../api/alerts-run.js";
+
+const vapid = { publicKey: "p", privateKey: "k", subject: "mailto:test@example.com" };
+
+function mockRes() {
+  return {
+    statusCode: 200, headers: {},
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+const savedSecret = process.env.CRON_SECRET;
+afterEach(() => {
+  if (savedSecret === undefined) delete process.env.CRON_SECRET;
+  else process.env.CRON_SECRET = savedSecret;
+});
+
+test("a hosted deployment without ALERT_STORE has no subscription store", () => {
+  assert.equal(createSubscriptionStore({ VERCEL: "1" }), null);
+  assert.equal(createSubscriptionStore({ NODE_ENV: "production" }), null);
+  assert.ok(createSubscriptionStore({ VERCEL: "1", ALERT_STORE: "memory" }));
+  assert.ok(createSubscriptionStore({}), "local default is the file store");
+});
+
+test("checkAlerts is unconfigured without a store", async () => {
+  await assert.rejects(checkAlerts(null, { vapid }), { status: 503, code: "alerts_unconfigured" });
+});
+
+test("/api/alerts-run refuses every request when CRON_SECRET is unset", async () => {
+  delete process.env.CRON_SECRET;
+  const res = mockRes();
+  await runHandler({ method: "GET", query: {}, headers: { authorization: "Bearer " } }, res);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.body.code, "alerts_unconfigured");
+});
+
+test("/api/alerts-run needs the cron secret as a bearer token", async () => {
+  process.env.CRON_SECRET = "s3cret";
+  const res = mockRes();
+  await runHandler({ method: "GET", query: {}, headers: { authorization: "Bearer wrong" } }, res);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, "unauthorized");
+});
+
+test("evaluateAlert counts only the moonless dark hours of the best window", async (t) => {
+  // Mauna Kea, three nights after full moon: the Moon rises mid-evening.
+  const clear = { cloudcover: 1, seeing: 1, transparency: 1, lifted_index: 15, rh2m: 0, wind10m: { direction: "E", speed: 2 }, temp2m: 2, prec_type: "none" };
+  const astro = { product: "astro", init: "2024062512", dataseries: Array.from({ length: 24 }, (_, i) => ({ timepoint: (i + 1) * 3, ...clear })) };
+  t.mock.method(globalThis, "fetch", async () => Response.json(astro));
+  const sub = { site: { lat: 19.82, lon: -155.47, bortle: 1 }, style: "deepSky", minScore: 0, minHours: 1, lastNotified: null };
+
+  const { night, best, hours } = await evaluateAlert(sub, new Date("2024-06-25T20:00:00Z"));
+  const windowHours = (best.end - best.start) / 3600000;
+  assert.ok(night.moonUp.length > 0, "the Moon is up during the night");
+  assert.ok(hours > 0 && hours < windowHours - 1, `${hours} h moonless of a ${windowHours} h window`);
+  assert.equal(hours, overlapHours(night.dark, best.start, best.end));
+});
@@ -0,0 +1,56 @@
+// The iCalendar writer behind /api/calendar.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar, icsDate, escapeText } from "../api/_lib/ical.js";
+
+const now = new Date("2024-06-21T12:00:00Z");
+const event = {
+  uid: "2024-06-21_19.821_-155.468_deepSky@astroskies",
+  start: new Date("2024-06-22T07:30:00Z"),
+  end: new Date("2024-06-22T13:30:00Z"),
+  summary: "✦ Excellent skies at Mauna Kea · 86",
+  description: "Score 86 (Excellent, Deep-sky, threshold 60)\nClouds: 3% average, 12% at most",
+  location: "Mauna Kea",
+  geo: { lat: 19.8207, lon: -155.4681 },
+  url: "https://astroskies.app/night?lat=19.8207&lon=-155.4681",
+};
+
+/** Content lines with folding undone. */
+const unfold = (ics) => ics.replace(/\r\n /g, "").split("\r\n");
+
+test("icsDate writes UTC date-times and escapeText escapes per RFC 5545", () => {
+  assert.equal(icsDate(new Date("2026-10-19T21:30:05Z")), "20261019T213005Z");
+  assert.equal(escapeText("a; b, c\\d\ne"), "a\\; b\\, c\\\\d\\ne");
+});
+
+test("buildCalendar publishes one VEVENT per event with CRLF line endings", () => {
+  const ics = buildCalendar({ name: "AstroSkies · Mauna Kea", description: "Deep-sky windows", events: [event, { ...event, uid: "b" }], now });
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(ics), "every newline is CRLF");
+
+  const lines = unfold(ics);
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.ok(lines.includes("VERSION:2.0"));
+  assert.ok(lines.includes("X-WR-CALNAME:AstroSkies · Mauna Kea"));
+  assert.ok(lines.includes("REFRESH-INTERVAL;VALUE=DURATION:PT6H"));
+  assert.equal(lines.filter((l) => l === "BEGIN:VEVENT").length, 2);
+  for (const l of [
+    `UID:${event.uid}`, "DTSTAMP:20240621T120000Z", "DTSTART:20240622T073000Z", "DTEND:20240622T133000Z",
+    "GEO:19.8207;-155.4681", "LOCATION:Mauna Kea", "TRANSP:TRANSPARENT",
+    "DESCRIPTION:Score 86 (Excellent\\, Deep-sky\\, threshold 60)\\nClouds: 3% average\\, 12% at most",
+  ]) assert.ok(lines.includes(l), `missing ${l}`);
+});
+
+test("buildCalendar folds lines at 75 octets without splitting characters", () => {
+  const ics = buildCalendar({ name: "★".repeat(60), events: [{ ...event, description: "☾ ".repeat(100) }], now });
+  for (const line of ics.split("\r\n")) {
+    assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`);
+    assert.ok(!line.includes("�"));
+  }
+  assert.ok(unfold(ics).includes(`X-WR-CALNAME:${"★".repeat(60)}`));
+});
+
+test("buildCalendar leaves out optional properties it was not given", () => {
+  const lines = unfold(buildCalendar({ name: "Empty", events: [{ uid: "x", start: event.start, end: event.end, summary: "x" }], now }));
+  assert.ok(!lines.some((l) => /^(DESCRIPTION|LOCATION|GEO|URL|X-WR-CALDESC):/.test(l)));
+});
@@ -0,0 +1,57 @@
+// Per-night dark windows: astronomical night minus the time the Moon is up.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getNights, totalHours } from "../src/lib/dark-window.js";
+
+const NYC = { lat: 40.7128, lon: -74.006 };
+const HOUR_MS = 3600000;
+
+const inside = (inner, outer) => inner.every((i) => outer.some((o) => i.start >= o.start && i.end <= o.end));
+
+test("getNights starts with the night in progress and steps a day at a time", () => {
+  const now = new Date("2024-06-22T04:00:00Z");  // midnight EDT
+  const nights = getNights(now, NYC.lat, NYC.lon, 3);
+  assert.equal(nights.length, 3);
+  assert.ok(nights[0].date < now && now < nights[0].span.end, "first night contains now");
+  for (let i = 1; i < nights.length; i++) {
+    const gap = (nights[i].date - nights[i - 1].date) / HOUR_MS;
+    assert.ok(Math.abs(gap - 24) < 0.1, `nights ${gap} h apart`);
+  }
+});
+
+test("a new-moon night is dark for the whole astronomical night", () => {
+  const [night] = getNights(new Date("2024-01-11T18:00:00Z"), NYC.lat, NYC.lon, 1);
+  assert.ok(night.moonIllumination < 0.02);
+  assert.ok(night.darkHours > 11 && night.darkHours < 12, `${night.darkHours} h`);
+  assert.equal(night.darkHours, totalHours(night.astroNight));
+});
+
+test("the full Moon up all night leaves no dark window unless it is allowed", () => {
+  const now = new Date("2024-06-21T12:00:00Z");
+  const [full] = getNights(now, NYC.lat, NYC.lon, 1);
+  assert.ok(full.moonIllumination > 0.99);
+  assert.equal(full.darkHours, 0);
+  assert.deepEqual(full.dark, []);
+
+  // With the Moon ignored, the dark window is the solstice astronomical night, about 4.7 h.
+  const [ignored] = getNights(now, NYC.lat, NYC.lon, 1, { moonLimit: 1 });
+  assert.ok(Math.abs(ignored.darkHours - 4.7) < 0.1, `${ignored.darkHours} h`);
+  assert.deepEqual(ignored.dark, ignored.astroNight);
+});
+
+test("dark intervals lie inside astronomical night and outside moonrise–moonset", () => {
+  for (const night of getNights(new Date("2024-06-25T12:00:00Z"), NYC.lat, NYC.lon, 4)) {
+    assert.ok(inside(night.dark, night.astroNight));
+    for (const d of night.dark) {
+      assert.ok(!night.moonUp.some((m) => m.start < d.end && m.end > d.start), "no overlap with the Moon up");
+    }
+    assert.ok(Math.abs(night.darkHours - totalHours(night.dark)) < 1e-9);
+  }
+});
+
+test("there is no astronomical night under the midnight sun", () => {
+  const [night] = getNights(new Date("2024-06-21T12:00:00Z"), 78.22, 15.65, 1);  // Longyearbyen
+  assert.deepEqual(night.astroNight, []);
+  assert.equal(night.darkHours, 0);
+  assert.equal(night.sunset, undefined);
+});
@@ -0,0 +1,67 @@
+// Reference cases from Meeus, "Astronomical Algorithms" (2nd ed.), and
+// published rise/set tables. Meeus's examples are in dynamical time; ΔT was
+// 59 s in 1992, so the UT instants below are TD − 59 s.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { moonCoords, sunCoords, getSunTimes, getMoonTimes, getMoonIllumination } from "../src/lib/ephemeris.js";
+
+const near = (actual, expected, tolerance, what) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: ${actual} is not within ${tolerance} of ${expected}`);
+const minutes = (a, b) => Math.abs(a - b) / 60000;
+
+const NYC = { lat: 40.7128, lon: -74.006 };
+
+test("moonCoords matches Meeus example 47.a (1992 April 12, 0h TD)", () => {
+  const m = moonCoords(new Date("1992-04-11T23:59:01Z"));
+  near(m.lambda, 133.162655, 0.005, "longitude");
+  near(m.beta, -3.229126, 0.01, "latitude");
+  near(m.ra, 134.688470, 0.01, "right ascension");
+  near(m.dec, 13.768368, 0.01, "declination");
+  // The full series gives 368 409.7 km; the truncated table is within ~40 km.
+  near(m.distance, 368409.7, 50, "distance");
+});
+
+test("sunCoords matches Meeus example 25.a (1992 October 13, 0h TD)", () => {
+  const s = sunCoords(new Date("1992-10-12T23:59:01Z"));
+  near(s.lambda, 199.90988, 0.001, "apparent longitude");
+  near(s.distance, 0.99766, 0.00001, "distance");
+  near(s.ra, 198.38083, 0.001, "right ascension");
+  near(s.dec, -7.78507, 0.001, "declination");
+});
+
+test("getMoonIllumination matches Meeus example 48.a (1992 April 12, 0h TD)", () => {
+  const { fraction, phase } = getMoonIllumination(new Date("1992-04-11T23:59:01Z"));
+  near(fraction, 0.6786, 0.001, "illuminated fraction");
+  assert.ok(phase > 0.25 && phase < 0.5, `waxing gibbous phase, got ${phase}`);
+});
+
+test("getMoonIllumination is full at the 2024 June 22 01:08 UTC full moon", () => {
+  const { fraction, phase } = getMoonIllumination(new Date("2024-06-22T01:08:00Z"));
+  near(fraction, 1, 0.005, "illuminated fraction");
+  near(phase, 0.5, 0.002, "phase");
+});
+
+test("getSunTimes gives New York's sunrise and sunset on 2024 June 21", () => {
+  const s = getSunTimes(new Date("2024-06-21T16:00:00Z"), NYC.lat, NYC.lon);
+  // 05:25 and 20:31 EDT
+  assert.ok(minutes(s.sunrise, Date.parse("2024-06-21T09:25:00Z")) <= 1.5, `sunrise ${s.sunrise.toISOString()}`);
+  assert.ok(minutes(s.sunset, Date.parse("2024-06-22T00:31:00Z")) <= 1.5, `sunset ${s.sunset.toISOString()}`);
+  assert.ok(s.astronomicalDawn < s.nauticalDawn && s.nauticalDawn < s.civilDawn && s.civilDawn < s.sunrise);
+  assert.ok(s.sunset < s.civilDusk && s.civilDusk < s.nauticalDusk && s.nauticalDusk < s.astronomicalDusk);
+});
+
+test("getSunTimes has no events under the midnight sun", () => {
+  const s = getSunTimes(new Date("2024-06-21T12:00:00Z"), 78.22, 15.65);  // Longyearbyen
+  assert.equal(s.sunrise, undefined);
+  assert.equal(s.sunset, undefined);
+  assert.equal(s.astronomicalDusk, undefined);
+});
+
+test("getMoonTimes gives New York's moonset on 2024 June 21", () => {
+  const m = getMoonTimes(new Date("2024-06-21T04:00:00Z"), NYC.lat, NYC.lon);
+  // 04:29 EDT, the morning before the full moon
+  assert.ok(minutes(m.set, Date.parse("2024-06-21T08:29:00Z")) <= 3, `moonset ${m.set?.toISOString()}`);
+  assert.ok(m.transit < m.set, "transit precedes the set");
+  assert.equal(m.alwaysUp, undefined);
+  assert.equal(m.alwaysDown, undefined);
+});
@@ -0,0 +1,24 @@
+// The shared error body every API route sends.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ApiError, sendError, upstreamError } from "../api/_lib/errors.js";
+
+function mockRes() {
+  return {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+test("an unexpected error is a non-retryable internal_error with the fallback message", () => {
+  const res = sendError(mockRes(), new TypeError("Invalid time value"), "Failed to fetch forecast");
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: "Failed to fetch forecast", code: "internal_error", retryable: false });
+});
+
+test("an ApiError keeps its status, code, retryability and provider", () => {
+  const res = sendError(mockRes(), upstreamError("7timer", 503));
+  assert.equal(res.statusCode, 503);
+  assert.deepEqual(res.body, { error: "Upstream 7timer request failed", code: "upstream_unavailable", retryable: true, provider: "7timer" });
+  assert.equal(sendError(mockRes(), new ApiError(502, "upstream_error", "Bad gateway")).body.retryable, true);
+});
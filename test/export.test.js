@@ -0,0 +1,81 @@
+// Flat export rows and their CSV/JSON encodings.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { localIso, exportRows, toCsv, toJsonExport, exportFileName } from "../src/lib/export.js";
+
+const HST = "Pacific/Honolulu";
+const block = {
+  time: new Date("2024-06-22T09:00:00Z"), source: "astro",
+  cloudcover: 12.5, seeing: 0.875, transparency: 0.35, liftedIndex: 10, rh: 62.5,
+  wind: { direction: "NW", speed: 1.85 }, temp: 4, precType: "none",
+  sunAltitude: -48.123, moonAltitude: 20.06, moonIllumination: 0.9876, inNight: true, score: 71,
+  raw: { seeing: 3, transparency: 2 },  // 7Timer classes, shown on the 1–8 scale
+};
+const night = { date: new Date("2024-06-21T22:35:00Z"), span: { start: new Date("2024-06-22T04:30:00Z"), end: new Date("2024-06-22T16:30:00Z") } };
+
+test("localIso writes wall-clock time with the zone's offset", () => {
+  const t = new Date("2024-06-22T09:00:00Z");
+  assert.equal(localIso(t, HST), "2024-06-21T23:00:00-10:00");
+  assert.equal(localIso(t, "Asia/Kolkata"), "2024-06-22T14:30:00+05:30");
+  assert.equal(localIso(t, "UTC"), "2024-06-22T09:00:00+00:00");
+});
+
+test("exportRows flattens a scored block into rounded columns", () => {
+  const [row] = exportRows([block], { timeZone: HST, nights: [night] });
+  assert.deepEqual(row, {
+    time_utc: "2024-06-22T09:00:00.000Z",
+    time_local: "2024-06-21T23:00:00-10:00",
+    night: "2024-06-21",
+    source: "astro",
+    cloudcover_pct: 13,
+    seeing_arcsec: 0.88,
+    transparency_mag: 0.35,
+    lifted_index_c: 10,
+    rh_pct: 63,
+    wind_speed_ms: 1.9,
+    wind_direction: "NW",
+    temp_c: 4,
+    precip_type: "none",
+    sun_altitude_deg: -48.1,
+    moon_altitude_deg: 20.1,
+    moon_illumination_pct: 99,
+    astro_dark: true,
+    score: 71,
+  });
+});
+
+test("exportRows names and converts columns in the viewer's units", () => {
+  const [row] = exportRows([block], { timeZone: HST, nights: [night], units: { temp: "F", wind: "mph", seeing: "scale" } });
+  assert.equal(row.temp_f, 39.2);
+  assert.equal(row.wind_speed_mph, 4);
+  assert.equal(row.seeing_class, 3);
+  assert.equal(row.transparency_class, 2);
+  assert.ok(!("temp_c" in row) && !("wind_speed_ms" in row) && !("seeing_arcsec" in row));
+});
+
+test("exportRows leaves missing fields and blocks outside every night null", () => {
+  const civil = { ...block, time: new Date("2024-06-22T21:00:00Z"), source: "civil", seeing: null, transparency: null, wind: null };
+  const [row] = exportRows([civil], { timeZone: HST, nights: [night] });
+  assert.equal(row.night, null);
+  assert.equal(row.seeing_arcsec, null);
+  assert.equal(row.wind_speed_ms, null);
+  assert.equal(row.wind_direction, null);
+});
+
+test("toCsv quotes where needed and ends lines in CRLF", () => {
+  const csv = toCsv([{ a: 1, b: "x,y", c: null }, { a: 2, b: 'say "hi"', c: true }]);
+  assert.equal(csv, 'a,b,c\r\n1,"x,y",\r\n2,"say ""hi""",true\r\n');
+  assert.equal(toCsv([]), "");
+});
+
+test("toJsonExport and exportFileName describe the site", () => {
+  const site = { name: "Mauna Kea (VIS)", lat: 19.8207, lon: -155.4681, notes: "not exported" };
+  const units = { temp: "F", wind: "kn", seeing: "scale", clock: "24h", dates: "iso" };
+  const json = JSON.parse(toJsonExport({ site, timeZone: HST, style: "deepSky", units, rows: [] }));
+  assert.deepEqual(json.site, { name: "Mauna Kea (VIS)", lat: 19.8207, lon: -155.4681 });
+  assert.deepEqual(json.units, { temp: "F", wind: "kn", seeing: "scale" });
+  assert.equal(json.timeZone, HST);
+  assert.deepEqual(json.blocks, []);
+  assert.equal(exportFileName(site, "48h", "csv"), "astroskies-mauna-kea-vis-48h.csv");
+  assert.equal(exportFileName({ name: "★" }, "7n", "json"), "astroskies-site-7n.json");
+});
@@ -0,0 +1,36 @@
+// The /api/forecast handler with a stubbed fetch and a minimal response object.
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import handler from "../api/forecast.js";
+
+afterEach(() => mock.restoreAll());
+
+const daily = { product: "civillight", init: "2024062112", dataseries: [{ date: 20240621, weather: "clear", temp2m: { max: 29, min: 19 }, wind10m_max: 2 }] };
+
+async function call(query) {
+  const res = {
+    statusCode: 200, headers: {},
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; },
+  };
+  await handler({ method: "GET", query, headers: {} }, res);
+  return res;
+}
+
+test("CSV of a daily product is a bad request, not an upstream call", async () => {
+  const fetch = mock.method(globalThis, "fetch", async () => Response.json(daily));
+  const res = await call({ lat: "40.71", lon: "-74.01", product: "civillight", format: "csv" });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.code, "bad_request");
+  assert.equal(res.body.retryable, false);
+  assert.equal(fetch.mock.callCount(), 0);
+});
+
+test("a daily product is still served as JSON", async () => {
+  mock.method(globalThis, "fetch", async () => Response.json(daily));
+  const res = await call({ lat: "40.71", lon: "-74.01", product: "civillight" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.blocks[0].date, "2024-06-21");
+});
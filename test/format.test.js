@@ -0,0 +1,12 @@
+// Display formatting shared by the app and the API.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatHours } from "../src/lib/format.js";
+
+test("formatHours rounds to whole minutes before splitting hours and minutes", () => {
+  assert.equal(formatHours(0), "0h 00m");
+  assert.equal(formatHours(4.692871), "4h 42m");
+  assert.equal(formatHours(2.999), "3h 00m");
+  assert.equal(formatHours(0.9999), "1h 00m");
+  assert.equal(formatHours(11.25), "11h 15m");
+});
@@ -0,0 +1,139 @@
+// Contract tests for the provider adapters, run against recorded responses in
+// ./fixtures with a stubbed fetch: each adapter must resolve to the shared
+// schema (api/_lib/schema.js), and the registry must fall back between them.
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { UNITS } from "../api/_lib/schema.js";
+import { PROVIDERS, forecastWithFallback } from "../api/_lib/providers/index.js";
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8"));
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+
+/** Stub fetch with `route(url)`, which returns a Response or throws like a network failure. */
+const stubFetch = (route) => mock.method(globalThis, "fetch", async (url) => route(String(url)));
+const is7Timer = (url) => url.startsWith("https://www.7timer.info/");
+
+afterEach(() => mock.restoreAll());
+
+const ISO = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const BLOCK_KEYS = ["time", "timepoint", "cloudcover", "seeing", "transparency", "liftedIndex", "rh", "wind", "temp", "precType", "weather", "raw"];
+const NUMERIC = ["cloudcover", "seeing", "transparency", "liftedIndex", "rh", "temp"];
+
+function assertSchema(body, { provider, product, lat, lon }) {
+  assert.equal(body.provider, provider);
+  assert.equal(body.product, product);
+  assert.deepEqual(body.location, { lat, lon });
+  assert.match(body.init, ISO);
+  assert.deepEqual(body.units, UNITS);
+  assert.ok(body.blocks.length > 0, "has blocks");
+  for (const b of body.blocks) {
+    assert.deepEqual(Object.keys(b).sort(), [...BLOCK_KEYS].sort());
+    assert.match(b.time, ISO);
+    assert.ok(Date.parse(b.time) > Date.parse(body.init), "block after init");
+    for (const k of NUMERIC) assert.ok(b[k] === null || Number.isFinite(b[k]), `${k} is a number or null, got ${b[k]}`);
+    if (b.wind !== null) {
+      assert.equal(typeof b.wind.direction, "string");
+      assert.ok(Number.isFinite(b.wind.speed), "wind speed in m/s");
+    }
+  }
+}
+
+// ── 7Timer ───────────────────────────────────────────────────────────────────
+test("7Timer astro decodes classes into schema units", async () => {
+  stubFetch(() => json(fixture("7timer-astro")));
+  const body = await PROVIDERS["7timer"].forecast("astro", 40.71, -74.01);
+  assertSchema(body, { provider: "7timer", product: "astro", lat: 40.71, lon: -74.01 });
+
+  assert.equal(body.init, "2024-06-21T12:00:00.000Z");
+  const [first, , last] = body.blocks;
+  assert.equal(first.time, "2024-06-21T15:00:00.000Z");
+  assert.deepEqual(
+    { cloudcover: first.cloudcover, seeing: first.seeing, transparency: first.transparency, rh: first.rh, wind: first.wind },
+    { cloudcover: 12.5, seeing: 0.875, transparency: 0.35, rh: 62.5, wind: { direction: "NW", speed: 1.85 } },
+  );
+  assert.equal(last.seeing, null, "-9999 is missing");
+  assert.equal(last.rh, 100);
+  assert.equal(last.liftedIndex, -4);
+  assert.equal(first.weather, null, "astro has no weather");
+});
+
+test("7Timer civil reads percentage humidity and has no seeing or transparency", async () => {
+  stubFetch(() => json(fixture("7timer-civil")));
+  const body = await PROVIDERS["7timer"].forecast("civil", 40.71, -74.01);
+  assertSchema(body, { provider: "7timer", product: "civil", lat: 40.71, lon: -74.01 });
+
+  const [first, second] = body.blocks;
+  assert.equal(first.rh, 54);
+  assert.equal(second.cloudcover, 75);
+  assert.equal(second.precType, "rain");
+  assert.equal(second.weather, "lightrainnight");
+  for (const b of body.blocks) {
+    assert.equal(b.seeing, null);
+    assert.equal(b.transparency, null);
+  }
+});
+
+// ── Open-Meteo ───────────────────────────────────────────────────────────────
+test("Open-Meteo resamples hourly output to 3-hour blocks", async () => {
+  const requests = [];
+  stubFetch((url) => {
+    requests.push(url);
+    return json(fixture("openmeteo-hourly"));
+  });
+  const body = await PROVIDERS.openmeteo.forecast("astro", 40.71, -74.01);
+  assertSchema(body, { provider: "openmeteo", product: "astro", lat: 40.71, lon: -74.01 });
+  assert.match(requests[0], /wind_speed_unit=ms/);
+
+  assert.equal(body.init, "2024-06-21T12:00:00.000Z");
+  assert.deepEqual(body.blocks.map((b) => b.time), ["2024-06-21T15:00:00.000Z", "2024-06-21T18:00:00.000Z", "2024-06-21T21:00:00.000Z"]);
+  const [first, second, third] = body.blocks;
+  assert.deepEqual(first.wind, { direction: "SW", speed: 4.4 });
+  assert.equal(first.cloudcover, 25);
+  assert.equal(second.precType, "rain");
+  assert.equal(second.liftedIndex, null);
+  assert.equal(third.wind.direction, "N");
+  for (const b of body.blocks) {
+    assert.equal(b.seeing, null);
+    assert.equal(b.transparency, null);
+    assert.equal(b.weather, null);
+  }
+});
+
+// ── Fallback ─────────────────────────────────────────────────────────────────
+test("forecastWithFallback falls back when the preferred provider fails", async () => {
+  stubFetch((url) => (is7Timer(url) ? json({}, 503) : json(fixture("openmeteo-hourly"))));
+  const body = await forecastWithFallback("astro", 40.71, -74.01, "7timer");
+  assert.equal(body.provider, "openmeteo");
+  assert.equal(body.fallbackFrom, "7timer");
+});
+
+test("forecastWithFallback does not mark the preferred provider's result as a fallback", async () => {
+  stubFetch(() => json(fixture("openmeteo-hourly")));
+  const body = await forecastWithFallback("astro", 40.71, -74.01, "openmeteo");
+  assert.equal(body.provider, "openmeteo");
+  assert.equal(body.fallbackFrom, undefined);
+});
+
+test("forecastWithFallback rethrows the preferred provider's error when all fail", async () => {
+  stubFetch((url) => {
+    if (is7Timer(url)) return json({}, 503);
+    throw new TypeError("fetch failed");
+  });
+  await assert.rejects(forecastWithFallback("astro", 40.71, -74.01, "7timer"), {
+    status: 503, code: "upstream_unavailable", provider: "7timer", retryable: true,
+  });
+});
+
+test("forecastWithFallback stays on the preferred provider when fallback is off", async () => {
+  const fetch = stubFetch(() => json({}, 500));
+  await assert.rejects(forecastWithFallback("astro", 40.71, -74.01, "7timer", { fallback: false }), { provider: "7timer" });
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test("7Timer does not offer the daily-only two-week product", async () => {
+  const fetch = stubFetch(() => json({}));
+  assert.ok(!PROVIDERS["7timer"].products.includes("two"));
+  await assert.rejects(forecastWithFallback("two", 40.71, -74.01, "7timer"), { status: 400, code: "bad_request" });
+  assert.equal(fetch.mock.callCount(), 0);
+});
@@ -0,0 +1,106 @@
+// Imaging score and best-window selection.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreBlock, bestWindow, summarizeNight } from "../src/lib/scoring.js";
+
+const MAUNA_KEA = { lat: 19.8207, lon: -155.4681 };
+const HOUR_MS = 3600000;
+
+// A clear, steady, dry and calm block, in the API's decoded units.
+const clear = { cloudcover: 3, seeing: 0.4, transparency: 0.25, liftedIndex: 15, rh: 20, wind: { direction: "E", speed: 1.85 } };
+const at = (iso, fields = {}) => ({ ...clear, ...fields, time: new Date(iso) });
+
+test("scoreBlock rates a clear new-moon midnight highly and clouds or daylight poorly", () => {
+  const { lat, lon } = MAUNA_KEA;
+  const midnight = scoreBlock(at("2024-01-11T10:00:00Z"), lat, lon);  // midnight HST, new Moon
+  assert.ok(midnight.inNight);
+  assert.ok(midnight.score >= 80, `clear night scored ${midnight.score}`);
+
+  const cloudy = scoreBlock(at("2024-01-11T10:00:00Z", { cloudcover: 97 }), lat, lon);
+  assert.ok(cloudy.score < 40, `overcast scored ${cloudy.score}`);
+
+  const noon = scoreBlock(at("2024-01-11T22:00:00Z"), lat, lon);
+  assert.ok(!noon.inNight);
+  assert.ok(noon.score < 10, `daytime scored ${noon.score}`);
+});
+
+test("scoreBlock weights the factors per imaging style", () => {
+  const { lat, lon } = MAUNA_KEA;
+  const poorSeeing = at("2024-01-11T10:00:00Z", { seeing: 2.75 });
+  assert.ok(scoreBlock(poorSeeing, lat, lon, "planetary").score < scoreBlock(poorSeeing, lat, lon, "milkyWay").score);
+});
+
+// ── bestWindow ───────────────────────────────────────────────────────────────
+const night = { astroNight: [{ start: new Date("2024-01-11T06:00:00Z"), end: new Date("2024-01-11T16:00:00Z") }] };
+const scored = (scores, from = "2024-01-11T03:00:00Z") =>
+  scores.map((score, i) => ({ time: new Date(Date.parse(from) + i * 3 * HOUR_MS), score }));
+
+test("bestWindow picks the run with the most score-hours inside astronomical night", () => {
+  // 03 (before night) · 06 · 09 · 12 · 15 · 18 (after night)
+  const best = bestWindow(scored([95, 70, 40, 65, 70, 95]), night, { minScore: 60 });
+  assert.deepEqual(best.blocks.map((b) => b.score), [65, 70]);
+  assert.equal(best.score, 68);
+  assert.equal(best.start.toISOString(), "2024-01-11T10:30:00.000Z");
+  assert.equal(best.end.toISOString(), "2024-01-11T16:00:00.000Z", "clipped to the end of the night");
+});
+
+test("bestWindow clips the window to the night and returns null when nothing qualifies", () => {
+  const best = bestWindow(scored([80, 80, 80, 80, 80, 80]), night, { minScore: 60 });
+  assert.equal(best.start.toISOString(), "2024-01-11T06:00:00.000Z");
+  assert.equal(best.end.toISOString(), "2024-01-11T16:00:00.000Z");
+  assert.equal(best.blocks.length, 4);
+
+  assert.equal(bestWindow(scored([50, 55, 59, 40]), night, { minScore: 60 }), null);
+  assert.equal(bestWindow(scored([90, 90]), { astroNight: [] }), null);
+});
+
+// ── summarizeNight ───────────────────────────────────────────────────────────
+const span = { start: new Date("2024-01-11T03:00:00Z"), end: new Date("2024-01-11T18:00:00Z") };
+const block = (iso, fields) => ({ time: new Date(iso), source: "astro", inNight: false, ...fields });
+
+test("summarizeNight averages the dark blocks in the night's span", () => {
+  const blocks = [
+    block("2024-01-11T00:00:00Z", { score: 5, cloudcover: 9, temp: 30 }),   // before the span
+    block("2024-01-11T03:00:00Z", { score: 20, cloudcover: 3, temp: 8 }),
+    block("2024-01-11T09:00:00Z", { score: 80, cloudcover: 1, temp: 2, inNight: true }),
+    block("2024-01-11T12:00:00Z", { score: 70, cloudcover: 2, temp: 0, inNight: true }),
+    block("2024-01-11T18:00:00Z", { score: 30, cloudcover: 4, temp: 6 }),
+    block("2024-01-11T21:00:00Z", { score: 5, cloudcover: 9, temp: 30 }),   // after it
+  ];
+  const summary = summarizeNight({ ...night, span }, blocks);
+  assert.equal(summary.blocks.length, 4);
+  assert.equal(summary.score, 75);
+  assert.equal(summary.cloudcover, 2.5);
+  assert.equal(summary.high, 8);
+  assert.equal(summary.low, 0);
+  assert.equal(summary.source, "astro");
+  assert.deepEqual(summary.best.blocks.map((b) => b.score), [80, 70]);
+});
+
+test("summarizeNight falls back to every block when none is dark, and flags mixed sources", () => {
+  const blocks = [
+    block("2024-01-11T06:00:00Z", { score: 40, cloudcover: 3 }),
+    block("2024-01-11T09:00:00Z", { score: 60, cloudcover: 5, source: "civil" }),
+  ];
+  const summary = summarizeNight({ ...night, span }, blocks);
+  assert.equal(summary.score, 50);
+  assert.equal(summary.source, "mixed");
+  assert.equal(summary.high, null);
+});
+
+test("summarizeNight averages only the blocks that have cloud cover", () => {
+  const blocks = [
+    block("2024-01-11T06:00:00Z", { score: 40, cloudcover: 20 }),
+    block("2024-01-11T09:00:00Z", { score: 60, cloudcover: null }),
+    block("2024-01-11T12:00:00Z", { score: 60, cloudcover: 40 }),
+  ];
+  assert.equal(summarizeNight({ ...night, span }, blocks).cloudcover, 30);
+  assert.equal(summarizeNight({ ...night, span }, [block("2024-01-11T09:00:00Z", { score: 50, cloudcover: null })]).cloudcover, null);
+});
+
+test("summarizeNight has no score for a night beyond the forecast", () => {
+  const summary = summarizeNight({ ...night, span }, [block("2024-01-12T09:00:00Z", { score: 90 })]);
+  assert.deepEqual(summary.blocks, []);
+  assert.equal(summary.score, null);
+  assert.equal(summary.best, null);
+});
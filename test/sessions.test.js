@@ -0,0 +1,91 @@
+// Observing sessions: forecast-vs-logged comparison, per-site accuracy and the
+// exported file format.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createSession, sessionActual, compareSession, siteAccuracy, sessionsFile, parseSessionsFile, CLEAR_BELOW,
+} from "../src/lib/sessions.js";
+
+const MAUNA_KEA = { name: "Mauna Kea", lat: 19.8207, lon: -155.4681 };
+const BACKYARD  = { name: "Backyard", lat: 51.5, lon: -0.12 };
+
+const block = (time, cloudcover, seeing, inNight = true) => ({ time, cloudcover, seeing, transparency: null, score: 50, inNight });
+
+/** A session at `site` whose forecast said `cloud`/`seeing` and whose log says `actual`. */
+function session(site, night, { cloud, seeing = 1, actual }) {
+  const s = createSession({
+    site, night, timeZone: "UTC",
+    forecast: {
+      takenAt: `${night}T12:00:00.000Z`, provider: "7timer", init: null, style: "deepSky", score: 60, source: "astro",
+      bortle: 2, sqm: 21.5,
+      blocks: [
+        block(`${night}T18:00:00.000Z`, 90, 3, false),  // twilight, not counted
+        block(`${night}T21:00:00.000Z`, cloud, seeing),
+        block(`${night}T23:59:00.000Z`, cloud, seeing),
+      ],
+    },
+  });
+  return { ...s, actual: sessionActual(actual) };
+}
+
+test("sessionActual turns form values into numbers, nulls and a target list", () => {
+  assert.deepEqual(sessionActual({ cloudcover: "20", seeing: "", sqm: "abc", targets: " M31, ,NGC 7000 ", notes: "dew at 2am" }), {
+    cloudcover: 20, seeing: null, sqm: null, targets: ["M31", "NGC 7000"], notes: "dew at 2am",
+  });
+});
+
+test("compareSession pairs the dark-block forecast with the log", () => {
+  const s = session(MAUNA_KEA, "2024-06-21", { cloud: 10, seeing: 0.8, actual: { cloudcover: 40, seeing: 1.4, sqm: 21.2 } });
+  const r = compareSession(s);
+  assert.deepEqual(r.cloud, { forecast: 10, actual: 40, error: 30 });
+  assert.ok(Math.abs(r.seeing.error - 0.6) < 1e-9);
+  assert.ok(Math.abs(r.sqm.error + 0.3) < 1e-9);
+  assert.equal(r.clearCall, false, `forecast clear, logged above ${CLEAR_BELOW}%`);
+  assert.equal(r.leadHours, 9);
+});
+
+test("compareSession leaves unlogged fields null", () => {
+  const r = compareSession(session(MAUNA_KEA, "2024-06-21", { cloud: 10, actual: { cloudcover: "" } }));
+  assert.equal(r.cloud, null);
+  assert.equal(r.sqm, null);
+  assert.equal(r.clearCall, null);
+});
+
+test("siteAccuracy reports bias, error and clear calls per site, most-logged first", () => {
+  const sessions = [
+    session(BACKYARD, "2024-06-01", { cloud: 80, actual: { cloudcover: 90 } }),
+    session(MAUNA_KEA, "2024-06-03", { cloud: 10, actual: { cloudcover: 20 } }),
+    session(MAUNA_KEA, "2024-06-01", { cloud: 20, actual: { cloudcover: 0 } }),
+    session(MAUNA_KEA, "2024-06-02", { cloud: 10, actual: { cloudcover: 70 } }),
+  ];
+  const [kea, backyard] = siteAccuracy(sessions);
+  assert.equal(kea.site.name, "Mauna Kea");
+  assert.equal(kea.count, 3);
+  assert.equal(kea.first, "2024-06-01");
+  assert.equal(kea.last, "2024-06-03");
+  assert.deepEqual(kea.cloud, { n: 3, bias: 50 / 3, mae: 30 });
+  assert.deepEqual(kea.clearCalls, { n: 3, held: 2 });
+  assert.equal(kea.seeing, null);
+  assert.deepEqual(backyard.cloud, { n: 1, bias: 10, mae: 10 });
+});
+
+test("parseSessionsFile reads back an export and rejects bad files with a message", () => {
+  const original = [session(MAUNA_KEA, "2024-06-21", { cloud: 10, actual: { cloudcover: 5, targets: "M31" } })];
+  assert.deepEqual(parseSessionsFile(sessionsFile(original)), original);
+  assert.deepEqual(parseSessionsFile(JSON.stringify(original)), original, "a bare array");
+
+  assert.throws(() => parseSessionsFile("{"), { message: "Not a JSON file" });
+  assert.throws(() => parseSessionsFile("{}"), { message: "No sessions in this file" });
+  assert.throws(() => parseSessionsFile(JSON.stringify({ version: 99, sessions: [] })), /newer version/);
+  assert.throws(() => parseSessionsFile(JSON.stringify([{ ...original[0], night: "June 21" }])), /1 of 1 sessions are incomplete/);
+});
+
+test("parseSessionsFile accepts targets as a string and ignores other shapes", () => {
+  const base = session(MAUNA_KEA, "2024-06-21", { cloud: 10, actual: {} });
+  const [asString, asObject] = parseSessionsFile(JSON.stringify([
+    { ...base, id: "a", actual: { ...base.actual, targets: "M31, M33" } },
+    { ...base, id: "b", actual: { ...base.actual, targets: { name: "M31" } } },
+  ]));
+  assert.deepEqual(asString.actual.targets, ["M31", "M33"]);
+  assert.deepEqual(asObject.actual.targets, []);
+});